@@ -0,0 +1,252 @@
+/**
+ * Anti-AFK - Keeps an idle bot looking active so servers don't kick it
+ *
+ * Configured per bot through payload.anti_afk (true for the defaults):
+ *   {
+ *     enabled: true,
+ *     interval: [30000, 90000],                   // ms between activities, random in range
+ *     actions: ['look', 'swing', 'jump', 'walk'], // one picked at random each time
+ *     walk_distance: 1,                           // blocks; walks come back to the start
+ *   }
+ *
+ * Movement goes out as player_auth_input from the last position the server
+ * sent (start_game, move_player). No new activity starts while isBusy()
+ * says a form or shop flow owns the bot.
+ */
+
+const DEFAULT_OPTIONS = {
+  interval: [30000, 90000],
+  actions: ['look', 'swing', 'jump', 'walk'],
+  walk_distance: 1,
+};
+
+const ACTIONS = ['look', 'swing', 'jump', 'walk'];
+const TICK = 50; // ms per client tick
+const WALK_SPEED = 0.2; // blocks per tick, a bit under vanilla walking
+const GRAVITY = 0.08;
+const DRAG = 0.98;
+const JUMP_VELOCITY = 0.42;
+
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Options from payload.anti_afk, or null when anti-AFK is off.
+ */
+export function resolveAntiAfk(config) {
+  if (!config || config.enabled === false) return null;
+  const options = config === true ? {} : config;
+
+  let [min, max] = Array.isArray(options.interval) ? options.interval : [options.interval, options.interval];
+  min = Number(min) >= 1000 ? Number(min) : DEFAULT_OPTIONS.interval[0];
+  max = Number(max) >= min ? Number(max) : Math.max(min, DEFAULT_OPTIONS.interval[1]);
+
+  const actions = Array.isArray(options.actions) ? options.actions.filter(action => ACTIONS.includes(action)) : [];
+  const walkDistance = Number(options.walk_distance);
+
+  return {
+    interval: [min, max],
+    actions: actions.length > 0 ? actions : DEFAULT_OPTIONS.actions,
+    walk_distance: Number.isFinite(walkDistance) && walkDistance > 0 ? Math.min(walkDistance, 5) : DEFAULT_OPTIONS.walk_distance,
+  };
+}
+
+class AntiAfk {
+  /**
+   * @param {object} client - bedrock-protocol client, before it spawns
+   * @param {object} options - From resolveAntiAfk()
+   * @param {object} hooks
+   * @param {object} hooks.log - Logger (or logger.child)
+   * @param {function} [hooks.isBusy] - true while activity must pause
+   */
+  constructor(client, options, { log, isBusy = () => false }) {
+    this.client = client;
+    this.options = options;
+    this.log = log;
+    this.isBusy = isBusy;
+
+    this.runtimeId = null;
+    this.position = null; // { x, y, z } at eye height, as the protocol uses
+    this.yaw = 0;
+    this.pitch = 0;
+    this.tick = 0;
+    this.timer = null; // Next activity
+    this.stepTimer = null; // Next tick of a running activity
+    this.running = false;
+
+    this.onStartGame = (packet) => {
+      this.runtimeId = packet.runtime_entity_id;
+      this.position = { ...packet.player_position };
+      this.pitch = packet.rotation?.x ?? 0;
+      this.yaw = packet.rotation?.z ?? 0;
+    };
+    this.onMovePlayer = (packet) => {
+      if (this.runtimeId === null || String(packet.runtime_id) !== String(this.runtimeId)) return;
+      this.position = { ...packet.position };
+      this.pitch = packet.pitch;
+      this.yaw = packet.yaw;
+      if (packet.tick) this.tick = Number(packet.tick);
+    };
+    client.on('start_game', this.onStartGame);
+    client.on('move_player', this.onMovePlayer);
+  }
+
+  // Begin after spawn
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.log.info(`Anti-AFK on (${this.options.actions.join(', ')} every ${this.options.interval.map(ms => Math.round(ms / 1000)).join('-')}s)`);
+    this.schedule();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    clearTimeout(this.stepTimer);
+    this.client.off('start_game', this.onStartGame);
+    this.client.off('move_player', this.onMovePlayer);
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.act(), randomBetween(...this.options.interval));
+  }
+
+  act() {
+    if (!this.running) return;
+    if (this.isBusy() || !this.position) {
+      this.schedule();
+      return;
+    }
+
+    const { actions } = this.options;
+    const action = actions[Math.floor(Math.random() * actions.length)];
+    this.log.debug(`Anti-AFK: ${action}`);
+
+    try {
+      if (action === 'look') this.look();
+      else if (action === 'swing') this.swing();
+      else if (action === 'jump') return this.run(this.jumpSteps(), () => this.schedule());
+      else if (action === 'walk') return this.run(this.walkSteps(), () => this.schedule());
+    } catch (err) {
+      this.log.warn(`Anti-AFK ${action} failed: ${err.message}`);
+    }
+    this.schedule();
+  }
+
+  // One input per tick from a list of step functions. A started move always
+  // finishes (about a second) so the bot never stops mid-air or off its spot.
+  run(steps, done) {
+    const next = () => {
+      if (!this.running) return;
+      if (steps.length === 0) {
+        done();
+        return;
+      }
+      try {
+        steps.shift()();
+      } catch (err) {
+        this.log.warn(`Anti-AFK movement failed: ${err.message}`);
+        done();
+        return;
+      }
+      this.stepTimer = setTimeout(next, TICK);
+    };
+    next();
+  }
+
+  sendInput({ move = { x: 0, z: 0 }, delta = { x: 0, y: 0, z: 0 }, flags = {} } = {}) {
+    this.tick++;
+    const yawRad = this.yaw * Math.PI / 180;
+    const pitchRad = this.pitch * Math.PI / 180;
+
+    this.client.write('player_auth_input', {
+      pitch: this.pitch,
+      yaw: this.yaw,
+      position: { ...this.position },
+      move_vector: move,
+      head_yaw: this.yaw,
+      input_data: flags,
+      input_mode: 'mouse',
+      play_mode: 'normal',
+      interaction_model: 'crosshair',
+      interact_rotation: { x: this.pitch, z: this.yaw },
+      tick: this.tick,
+      delta,
+      analogue_move_vector: move,
+      camera_orientation: {
+        x: -Math.sin(yawRad) * Math.cos(pitchRad),
+        y: -Math.sin(pitchRad),
+        z: Math.cos(yawRad) * Math.cos(pitchRad),
+      },
+      raw_move_vector: move,
+    });
+  }
+
+  look() {
+    this.yaw = ((this.yaw + randomBetween(-90, 90)) % 360 + 360) % 360;
+    this.pitch = randomBetween(-20, 20);
+    this.sendInput();
+  }
+
+  swing() {
+    this.client.write('animate', {
+      action_id: 'swing_arm',
+      runtime_entity_id: this.runtimeId,
+      data: 0,
+      has_swing_source: false,
+    });
+  }
+
+  // Vanilla jump arc until back at the starting height
+  jumpSteps() {
+    const steps = [];
+    const groundY = this.position.y;
+    let y = 0;
+    let velocity = JUMP_VELOCITY;
+    let first = true;
+
+    do {
+      const dy = Math.max(velocity, -y); // Land exactly on the start height
+      const flags = first
+        ? { jumping: true, jump_down: true, start_jumping: true, want_up: true, jump_pressed_raw: true, jump_current_raw: true }
+        : { jumping: true, jump_current_raw: true };
+      steps.push(() => {
+        this.position.y += dy;
+        this.sendInput({ delta: { x: 0, y: dy, z: 0 }, flags });
+      });
+      y += dy;
+      velocity = (velocity - GRAVITY) * DRAG;
+      first = false;
+    } while (y > 0);
+
+    steps.push(() => {
+      this.position.y = groundY;
+      this.sendInput({ flags: { jump_released_raw: true } });
+    });
+    return steps;
+  }
+
+  // Walk forward along a random heading, then back to the start
+  walkSteps() {
+    const heading = randomBetween(0, 360);
+    const rad = heading * Math.PI / 180;
+    const distance = randomBetween(this.options.walk_distance / 2, this.options.walk_distance);
+    const ticks = Math.max(1, Math.round(distance / WALK_SPEED));
+    const dx = -Math.sin(rad) * WALK_SPEED;
+    const dz = Math.cos(rad) * WALK_SPEED;
+
+    const leg = (sign, yaw) => Array.from({ length: ticks }, () => () => {
+      this.yaw = yaw;
+      this.position.x += dx * sign;
+      this.position.z += dz * sign;
+      this.sendInput({ move: { x: 0, z: 1 }, delta: { x: dx * sign, y: 0, z: dz * sign }, flags: { up: true } });
+    });
+
+    return [...leg(1, heading), ...leg(-1, (heading + 180) % 360), () => this.sendInput()];
+  }
+}
+
+export default AntiAfk;
@@ -0,0 +1,150 @@
+/**
+ * Auth Store - Per-bot Microsoft/Xbox token cache
+ *
+ * Each bot gets its own profilesFolder under authcache/ so concurrent
+ * online-mode bots never share or overwrite each other's tokens.
+ * authcache/index.json remembers which account each bot_id is linked to.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import prismarineAuth from 'prismarine-auth';
+
+const { Authflow, Titles } = prismarineAuth;
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const AUTH_CACHE_DIR = path.join(__dirname, '..', 'authcache');
+const INDEX_PATH = path.join(AUTH_CACHE_DIR, 'index.json');
+
+// Microsoft refresh tokens are rotated on every refresh and last ~90 days
+const REFRESH_TOKEN_LIFETIME = 90 * 24 * 60 * 60 * 1000;
+
+// Same flow bedrock-protocol uses when no authTitle is given
+const AUTH_OPTIONS = {
+  flow: 'live',
+  authTitle: Titles.MinecraftNintendoSwitch,
+  deviceType: 'Nintendo',
+};
+
+function safeId(botId) {
+  return String(botId).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+export function getProfilesFolder(botId) {
+  return path.join(AUTH_CACHE_DIR, safeId(botId));
+}
+
+function readIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeIndex(index) {
+  fs.mkdirSync(AUTH_CACHE_DIR, { recursive: true });
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(index, null, 2));
+}
+
+// Remember which account a bot authenticated as
+export function recordLogin(botId, username) {
+  const index = readIndex();
+  index[safeId(botId)] = {
+    bot_id: botId,
+    username,
+    linked_at: index[safeId(botId)]?.linked_at || Date.now(),
+    last_auth_at: Date.now(),
+  };
+  writeIndex(index);
+}
+
+// Token summary for one bot (never includes the tokens themselves)
+export function getTokenInfo(botId) {
+  const folder = getProfilesFolder(botId);
+  const entry = readIndex()[safeId(botId)] || {};
+  const info = {
+    bot_id: botId,
+    username: entry.username || null,
+    has_tokens: false,
+    linked_at: entry.linked_at || null,
+    last_auth_at: entry.last_auth_at || null,
+    access_expires_at: null,
+    refresh_expires_at: null,
+  };
+
+  let files = [];
+  try {
+    files = fs.readdirSync(folder).filter(file => file.endsWith('_live-cache.json'));
+  } catch (err) {
+    return info;
+  }
+
+  for (const file of files) {
+    try {
+      const { token } = JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8'));
+      if (!token?.refresh_token) continue;
+      info.has_tokens = true;
+      info.access_expires_at = token.obtainedOn + token.expires_in * 1000;
+      info.refresh_expires_at = token.obtainedOn + REFRESH_TOKEN_LIFETIME;
+    } catch (err) {
+      // Corrupt cache file, treat as no tokens
+    }
+  }
+
+  return info;
+}
+
+export function listTokens() {
+  let folders = [];
+  try {
+    folders = fs.readdirSync(AUTH_CACHE_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  } catch (err) {
+    return [];
+  }
+
+  const index = readIndex();
+  return folders.map(folder => getTokenInfo(index[folder]?.bot_id || folder));
+}
+
+// Tokens whose refresh token expires within warnBefore ms
+export function getExpiringTokens(warnBefore) {
+  const deadline = Date.now() + warnBefore;
+  return listTokens().filter(info => info.has_tokens && info.refresh_expires_at < deadline);
+}
+
+// Forget a bot's tokens so its next connect asks for a new login
+export function revokeTokens(botId) {
+  const folder = getProfilesFolder(botId);
+  const existed = fs.existsSync(folder);
+  fs.rmSync(folder, { recursive: true, force: true });
+
+  const index = readIndex();
+  if (index[safeId(botId)]) {
+    delete index[safeId(botId)];
+    writeIndex(index);
+  }
+  return existed;
+}
+
+/**
+ * Refresh a bot's Microsoft tokens now. Without a usable refresh token this
+ * starts a device-code login and reports the code through onMsaCode.
+ */
+export async function refreshTokens(botId, username, onMsaCode) {
+  const authflow = new Authflow(username, getProfilesFolder(botId), AUTH_OPTIONS, onMsaCode);
+
+  if (await authflow.msa.getRefreshToken()) {
+    await authflow.msa.refreshTokens();
+  } else {
+    await authflow.getMsaToken();
+  }
+
+  recordLogin(botId, username);
+  return getTokenInfo(botId);
+}
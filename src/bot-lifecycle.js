@@ -0,0 +1,145 @@
+/**
+ * Bot Lifecycle - Per-bot state machine with a generation (epoch) id
+ *
+ *   stopped -> starting -> connecting -> running
+ *                  ^            |           |
+ *                  +---- reconnecting <-----+
+ *
+ * Every user start, stop, restart or delete begins a new generation.
+ * Timers and cleanups registered under an older generation are cancelled
+ * at that moment, so a stale reconnect timer, connection timeout or auth
+ * wait can never act on the bot's next incarnation. Generations come from
+ * one counter for the whole process, so they are never reused, not even by
+ * a bot that was deleted and created again.
+ */
+
+const TRANSITIONS = {
+  stopped: ['starting'],
+  starting: ['connecting', 'reconnecting', 'stopped'],
+  connecting: ['running', 'reconnecting', 'stopped'],
+  running: ['reconnecting', 'stopped'],
+  reconnecting: ['starting', 'stopped'],
+};
+
+class BotLifecycle {
+  constructor() {
+    this.bots = new Map(); // bot_id -> { state, generation, timers: Set, cleanups: Set, starting }
+    this.lastGeneration = 0;
+  }
+
+  get(botId) {
+    let entry = this.bots.get(botId);
+    if (!entry) {
+      entry = { state: 'stopped', generation: 0, timers: new Set(), cleanups: new Set(), starting: null };
+      this.bots.set(botId, entry);
+    }
+    return entry;
+  }
+
+  getState(botId) {
+    return this.bots.get(botId)?.state || 'stopped';
+  }
+
+  getGeneration(botId) {
+    return this.bots.get(botId)?.generation ?? 0;
+  }
+
+  // Read-only: a forgotten (deleted) bot has no current generation
+  isCurrent(botId, generation) {
+    return this.bots.get(botId)?.generation === generation;
+  }
+
+  // Cancel everything from the previous generation and start a new one
+  begin(botId, state = 'starting') {
+    const entry = this.get(botId);
+    this.cancelPending(entry);
+    entry.generation = ++this.lastGeneration;
+    entry.state = state;
+    entry.starting = null;
+    return entry.generation;
+  }
+
+  // Stop/delete: a new generation in the stopped state
+  stop(botId) {
+    return this.begin(botId, 'stopped');
+  }
+
+  cancelPending(entry) {
+    for (const timer of entry.timers) clearTimeout(timer);
+    entry.timers.clear();
+
+    const cleanups = [...entry.cleanups];
+    entry.cleanups.clear();
+    for (const cleanup of cleanups) {
+      try {
+        cleanup();
+      } catch (err) {
+        // Cleanups are best effort
+      }
+    }
+  }
+
+  // Move to `state` if the generation is still current and the move is legal
+  transition(botId, generation, state) {
+    const entry = this.bots.get(botId);
+    if (!entry || entry.generation !== generation) return false;
+    if (entry.state !== state && !TRANSITIONS[entry.state]?.includes(state)) return false;
+    entry.state = state;
+    return true;
+  }
+
+  // setTimeout that only fires while its generation is current
+  setTimer(botId, generation, fn, delay) {
+    const entry = this.bots.get(botId);
+    if (!entry || entry.generation !== generation) return null;
+
+    const timer = setTimeout(() => {
+      entry.timers.delete(timer);
+      if (entry.generation === generation) fn();
+    }, delay);
+    entry.timers.add(timer);
+    return timer;
+  }
+
+  clearTimer(botId, timer) {
+    clearTimeout(timer);
+    this.bots.get(botId)?.timers.delete(timer);
+  }
+
+  // Run `fn` when this generation ends; returns a function that unregisters it
+  onCancel(botId, generation, fn) {
+    const entry = this.bots.get(botId);
+    if (!entry || entry.generation !== generation) {
+      fn();
+      return () => {};
+    }
+    entry.cleanups.add(fn);
+    return () => entry.cleanups.delete(fn);
+  }
+
+  // The in-flight start of the current generation, so duplicate starts can join it
+  getStarting(botId) {
+    return this.bots.get(botId)?.starting || null;
+  }
+
+  trackStart(botId, generation, promise) {
+    const entry = this.bots.get(botId);
+    if (!entry || entry.generation !== generation) return;
+    entry.starting = promise;
+    promise.finally(() => {
+      if (entry.starting === promise) entry.starting = null;
+    }).catch(() => {});
+  }
+
+  botsInState(state) {
+    return [...this.bots.entries()].filter(([, entry]) => entry.state === state).map(([botId]) => botId);
+  }
+
+  forget(botId) {
+    const entry = this.bots.get(botId);
+    if (entry) this.cancelPending(entry);
+    this.bots.delete(botId);
+  }
+}
+
+export default BotLifecycle;
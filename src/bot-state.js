@@ -0,0 +1,84 @@
+/**
+ * Bot State - Persists the desired state of every bot to bots.json
+ *
+ * Survives node restarts so bots that should be running can be restored:
+ *   { [bot_id]: { payload, running, retryCount, updated_at } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STATE_PATH = path.join(__dirname, '..', 'bots.json');
+const log = logger.child({ component: 'BotState' });
+
+class BotStateStore {
+  constructor() {
+    this.bots = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      this.bots = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn(`Failed to load bots.json: ${err.message}`);
+      }
+      this.bots = {};
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves half a file behind
+  save() {
+    try {
+      const tmpPath = `${STATE_PATH}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.bots, null, 2));
+      fs.renameSync(tmpPath, STATE_PATH);
+    } catch (err) {
+      log.warn(`Failed to save bots.json: ${err.message}`);
+    }
+  }
+
+  get(botId) {
+    return this.bots[botId] || null;
+  }
+
+  getAll() {
+    return Object.entries(this.bots).map(([botId, state]) => ({ bot_id: botId, ...state }));
+  }
+
+  update(botId, changes) {
+    const current = this.bots[botId];
+    if (!current && !changes.payload) return; // Nothing known to update
+
+    this.bots[botId] = {
+      running: false,
+      retryCount: 0,
+      ...current,
+      ...changes,
+      updated_at: Date.now(),
+    };
+    this.save();
+  }
+
+  markRunning(botId, payload, retryCount = 0) {
+    this.update(botId, { payload, running: true, retryCount });
+  }
+
+  markStopped(botId) {
+    this.update(botId, { running: false, retryCount: 0 });
+  }
+
+  remove(botId) {
+    if (!this.bots[botId]) return;
+    delete this.bots[botId];
+    this.save();
+  }
+}
+
+export default new BotStateStore();
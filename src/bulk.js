@@ -0,0 +1,64 @@
+/**
+ * Bulk - Target selection and staggered execution for many-bot actions
+ *
+ * Targets come from bot_ids, a tag (payload.tags / payload.tag) or a
+ * selector matching payload fields, e.g. { server_ip: 'donutsmp.net' }.
+ */
+
+function botTags(payload) {
+  const tags = Array.isArray(payload?.tags) ? payload.tags : [];
+  return payload?.tag ? [...tags, payload.tag] : tags;
+}
+
+function matchesSelector(payload, selector) {
+  return Object.entries(selector).every(([field, expected]) => {
+    const value = payload?.[field];
+    if (Array.isArray(value)) return value.includes(expected);
+    return value === expected;
+  });
+}
+
+/**
+ * Filter { bot_id, payload } entries by the bulk command's targeting fields.
+ * Without any of bot_ids/tag/selector every bot is a target.
+ */
+export function selectBots(bots, { bot_ids, tag, selector } = {}) {
+  return bots.filter(({ bot_id, payload }) => {
+    if (Array.isArray(bot_ids) && !bot_ids.includes(bot_id)) return false;
+    if (tag && !botTags(payload).includes(tag)) return false;
+    if (selector && typeof selector === 'object' && !matchesSelector(payload, selector)) return false;
+    return true;
+  });
+}
+
+/**
+ * Run task(item) for every item with at most `concurrency` running at once
+ * and at least `stagger` ms between two launches. Resolves to the results
+ * in item order; a task error is returned as { error }.
+ */
+export async function runStaggered(items, { stagger = 0, concurrency = 1 }, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  let lastLaunch = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+
+      // Launches are spaced globally, not per worker
+      const wait = lastLaunch + stagger - Date.now();
+      lastLaunch = Math.max(Date.now(), lastLaunch + stagger);
+      if (index > 0 && wait > 0) await new Promise(r => setTimeout(r, wait));
+
+      try {
+        results[index] = await task(items[index], index);
+      } catch (err) {
+        results[index] = { error: err.message };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,103 @@
+/**
+ * Capacity - Admission control for bot starts
+ *
+ * Limits (0 disables a limit):
+ *   maxBots               bots running or waiting to reconnect on this node
+ *   maxMemoryPercent      system memory in use
+ *   maxCpuPercent         CPU usage over the last heartbeat interval
+ *   maxConcurrentConnects bots between "connecting" and spawn/failure at once
+ *
+ * Connect slots are handed out first come, first served.
+ */
+
+class CapacityLimiter {
+  constructor(limits) {
+    this.setLimits(limits);
+    this.connecting = 0;
+    this.waiting = []; // { resolve, reject, timer } in arrival order
+  }
+
+  setLimits({ maxBots = 0, maxMemoryPercent = 0, maxCpuPercent = 0, maxConcurrentConnects = 0 }) {
+    this.limits = { maxBots, maxMemoryPercent, maxCpuPercent, maxConcurrentConnects };
+    this.drain();
+  }
+
+  /**
+   * Why a start cannot be admitted right now, or null when it can.
+   * @param {object} usage - { bots, memoryPercent, cpuPercent }
+   * @param {boolean} [checkResources] - false for reconnects of bots already counted
+   */
+  check(usage, checkResources = true) {
+    const { maxBots, maxMemoryPercent, maxCpuPercent } = this.limits;
+
+    if (maxBots > 0 && usage.bots >= maxBots) {
+      return `max bots reached (${usage.bots}/${maxBots})`;
+    }
+    if (!checkResources) return null;
+    if (maxMemoryPercent > 0 && usage.memoryPercent >= maxMemoryPercent) {
+      return `memory usage ${Math.round(usage.memoryPercent)}% over ${maxMemoryPercent}%`;
+    }
+    if (maxCpuPercent > 0 && usage.cpuPercent >= maxCpuPercent) {
+      return `CPU usage ${Math.round(usage.cpuPercent)}% over ${maxCpuPercent}%`;
+    }
+    return null;
+  }
+
+  hasFreeSlot() {
+    const { maxConcurrentConnects } = this.limits;
+    return maxConcurrentConnects <= 0 || this.connecting < maxConcurrentConnects;
+  }
+
+  /**
+   * Wait for a connect slot. Resolves to a release function (safe to call
+   * more than once), rejects when no slot frees up within `timeout` ms.
+   */
+  acquireConnect(timeout) {
+    if (this.hasFreeSlot()) return Promise.resolve(this.take());
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        reject(new Error(`no connect slot within ${Math.ceil(timeout / 1000)}s (${this.connecting} connecting)`));
+      }, timeout);
+      this.waiting.push(waiter);
+    });
+  }
+
+  take() {
+    this.connecting++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.connecting--;
+      this.drain();
+    };
+  }
+
+  drain() {
+    while (this.waiting && this.waiting.length > 0 && this.hasFreeSlot()) {
+      const waiter = this.waiting.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.take());
+    }
+  }
+
+  // What the heartbeat advertises so the backend can place bots elsewhere
+  getRemaining(usage) {
+    const { maxBots, maxConcurrentConnects } = this.limits;
+    const reason = this.check(usage);
+    return {
+      accepting: reason === null,
+      reason,
+      max_bots: maxBots || null,
+      bots_remaining: maxBots > 0 ? Math.max(0, maxBots - usage.bots) : null,
+      connecting: this.connecting,
+      connect_slots_free: maxConcurrentConnects > 0 ? Math.max(0, maxConcurrentConnects - this.connecting) : null,
+      queued_connects: this.waiting.length,
+    };
+  }
+}
+
+export default CapacityLimiter;
@@ -0,0 +1,31 @@
+/**
+ * Command Queue - Serializes work per key
+ *
+ * Tasks sharing a key (bot_id) run one after another in arrival order,
+ * tasks with different keys run in parallel.
+ */
+
+class CommandQueue {
+  constructor() {
+    this.tails = new Map(); // key -> promise of the last queued task
+  }
+
+  enqueue(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+
+    // Drop the chain once it drains so idle bots don't leak entries
+    const tail = run.catch(() => {}).finally(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    this.tails.set(key, tail);
+
+    return run;
+  }
+
+  getPending() {
+    return this.tails.size;
+  }
+}
+
+export default CommandQueue;
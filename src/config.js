@@ -0,0 +1,165 @@
+/**
+ * Config - Loads, validates and watches config.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { STORAGE_TYPES } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+
+const WATCH_INTERVAL = 2000;
+
+function isValidUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Returns a list of problems, empty when the config is usable
+export function validateConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be a JSON object'];
+  }
+
+  const storageType = config.storage?.type || 'firebase';
+  if (!STORAGE_TYPES.includes(storageType)) {
+    errors.push(`storage.type must be one of: ${STORAGE_TYPES.join(', ')}`);
+  }
+
+  // Offline (memory) nodes talk to neither the dashboard API nor Firebase
+  if (storageType !== 'memory') {
+    if (typeof config.accessToken !== 'string' || !config.accessToken) {
+      errors.push('accessToken must be a non-empty string');
+    }
+    if (!config.firebase || typeof config.firebase !== 'object') {
+      errors.push('firebase section is required');
+    } else if (!isValidUrl(config.firebase.databaseURL)) {
+      errors.push('firebase.databaseURL must be a valid URL');
+    }
+  }
+  if (config.apiUrl !== undefined && !isValidUrl(config.apiUrl)) {
+    errors.push('apiUrl must be a valid URL');
+  }
+
+  const proxy = config.proxy;
+  if (proxy !== undefined && proxy !== null) {
+    if (typeof proxy !== 'object') {
+      errors.push('proxy must be an object');
+    } else if (proxy.host) {
+      const port = parseInt(proxy.port);
+      if (isNaN(port) || port < 1 || port > 65535) errors.push('proxy.port must be a port number');
+      if (proxy.type && !['socks5', 'socks4', 'http'].includes(proxy.type)) {
+        errors.push('proxy.type must be socks5, socks4 or http');
+      }
+    }
+  }
+
+  const logging = config.logging;
+  if (logging !== undefined && logging !== null) {
+    if (typeof logging !== 'object') {
+      errors.push('logging must be an object');
+    } else {
+      if (logging.level && !['trace', 'debug', 'info', 'warn', 'error'].includes(logging.level)) {
+        errors.push('logging.level must be trace, debug, info, warn or error');
+      }
+      if (logging.format && !['text', 'json'].includes(logging.format)) {
+        errors.push('logging.format must be text or json');
+      }
+    }
+  }
+
+  const capacity = config.capacity;
+  if (capacity !== undefined && capacity !== null) {
+    if (typeof capacity !== 'object') {
+      errors.push('capacity must be an object');
+    } else {
+      for (const field of ['maxBots', 'maxMemoryPercent', 'maxCpuPercent', 'maxConcurrentConnects']) {
+        if (capacity[field] !== undefined && !(Number.isInteger(capacity[field]) && capacity[field] >= 0)) {
+          errors.push(`capacity.${field} must be a whole number (0 = no limit)`);
+        }
+      }
+      if (capacity.onFull && !['reject', 'queue'].includes(capacity.onFull)) {
+        errors.push('capacity.onFull must be reject or queue');
+      }
+    }
+  }
+
+  const forms = config.forms;
+  if (forms !== undefined && forms !== null) {
+    if (typeof forms !== 'object') {
+      errors.push('forms must be an object');
+    } else if (forms.dir !== undefined && forms.dir !== null && (typeof forms.dir !== 'string' || !forms.dir)) {
+      errors.push('forms.dir must be a non-empty string');
+    }
+  }
+
+  const control = config.control;
+  if (control !== undefined && control !== null) {
+    if (typeof control !== 'object') {
+      errors.push('control must be an object');
+    } else if (control.enabled) {
+      const port = parseInt(control.port);
+      if (control.port !== undefined && (isNaN(port) || port < 1 || port > 65535)) {
+        errors.push('control.port must be a port number');
+      }
+      if (!control.token && !process.env.CONTROL_TOKEN) {
+        errors.push('control.token (or CONTROL_TOKEN) is required when the control API is enabled');
+      }
+    }
+  }
+
+  return errors;
+}
+
+// --memory runs the node offline: in-memory storage, commands through the local control API
+export const MEMORY_MODE = process.argv.includes('--memory');
+
+function applyRunMode(config) {
+  if (!MEMORY_MODE) return config;
+  return {
+    ...config,
+    storage: { ...config.storage, type: 'memory' },
+    control: { ...config.control, enabled: true },
+  };
+}
+
+// Read and validate config.json, throws on any problem
+export function loadConfig() {
+  const config = applyRunMode(JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')));
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config.json: ${errors.join('; ')}`);
+  }
+  return config;
+}
+
+/**
+ * Call onChange(config) whenever config.json changes and still validates.
+ * Invalid edits are passed to onError and the caller keeps its last good config.
+ */
+export function watchConfig(onChange, onError) {
+  fs.watchFile(CONFIG_PATH, { interval: WATCH_INTERVAL }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+
+    let config;
+    try {
+      config = loadConfig();
+    } catch (err) {
+      onError(err);
+      return;
+    }
+    onChange(config);
+  });
+
+  return () => fs.unwatchFile(CONFIG_PATH);
+}
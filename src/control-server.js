@@ -0,0 +1,216 @@
+/**
+ * Control Server - Local HTTP + WebSocket command transport
+ *
+ * Lets a node be driven over a private network instead of Firebase RTDB.
+ * Every request needs `Authorization: Bearer <token>` (WebSocket clients
+ * that cannot set headers may pass ?token=<token>).
+ *
+ * HTTP:
+ *   GET  /health            node liveness and connectivity
+ *   GET  /bots              last known status of every bot
+ *   POST /commands          { action, bot_id, payload } -> { success, result | error }
+ *
+ * WebSocket (/ws), JSON messages:
+ *   -> { type: 'command', id, action, bot_id, payload }
+ *   -> { type: 'subscribe', bot_ids }        only stream events for these bots (empty = all)
+ *   <- { type: 'hello', node, bots }
+ *   <- { type: 'result', id, success, result | error }
+ *   <- { type: 'status', bot_id, status, error, ... }
+ *   <- { type: 'log', bot_id, log_type, message, created_at }
+ *   <- { type: 'deleted', bot_id }
+ *   <- { type: 'node', mode, api, storage, since }   mode is online or degraded
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function tokensMatch(expected, given) {
+  if (typeof given !== 'string') return false;
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(given).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+class ControlServer extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.host
+   * @param {number} options.port
+   * @param {string} options.token - Bearer token every client must present
+   * @param {Function} options.onCommand - async (command) => result, result.error marks a failure
+   * @param {Function} [options.getNodeState] - () => object merged into /health and hello
+   */
+  constructor({ host = '127.0.0.1', port, token, onCommand, getNodeState }) {
+    super();
+    if (!token) throw new Error('Control server needs a token');
+
+    this.host = host;
+    this.port = port;
+    this.token = token;
+    this.onCommand = onCommand;
+    this.getNodeState = getNodeState || (() => ({}));
+    this.statuses = new Map(); // bot_id -> last status event
+    this.server = null;
+    this.wss = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+
+    this.server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== '/ws' || !this.isAuthorized(req, url)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.handleSocket(ws));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  async stop() {
+    if (!this.server) return;
+    for (const ws of this.wss.clients) ws.close(1001, 'Node shutting down');
+    this.wss.close();
+    this.server.closeAllConnections?.();
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  // ?token= only for the WebSocket upgrade; HTTP routes need the header
+  isAuthorized(req, url = null) {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : url?.searchParams.get('token');
+    return tokensMatch(this.token, given);
+  }
+
+  async runCommand(command) {
+    if (!command || typeof command.action !== 'string') {
+      return { error: 'Missing action' };
+    }
+    try {
+      return await this.onCommand({
+        action: command.action,
+        bot_id: command.bot_id,
+        payload: command.payload,
+        created_at: Date.now(),
+      }) || {};
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!this.isAuthorized(req)) {
+      sendJson(res, 401, { success: false, error: 'Unauthorized' });
+      return;
+    }
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') {
+        sendJson(res, 200, { success: true, uptime: process.uptime(), ...this.getNodeState() });
+      } else if (req.method === 'GET' && url.pathname === '/bots') {
+        sendJson(res, 200, { success: true, bots: [...this.statuses.values()] });
+      } else if (req.method === 'POST' && url.pathname === '/commands') {
+        let command;
+        try {
+          command = JSON.parse(await readBody(req));
+        } catch (err) {
+          sendJson(res, 400, { success: false, error: `Invalid body: ${err.message}` });
+          return;
+        }
+        const result = await this.runCommand(command);
+        sendJson(res, result.error ? 400 : 200, result.error
+          ? { success: false, error: result.error }
+          : { success: true, result });
+      } else {
+        sendJson(res, 404, { success: false, error: 'Not found' });
+      }
+    } catch (err) {
+      this.emit('error', err);
+      if (!res.headersSent) sendJson(res, 500, { success: false, error: err.message });
+    }
+  }
+
+  handleSocket(ws) {
+    ws.subscribed = null; // null = every bot
+
+    ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        ws.send(JSON.stringify({ type: 'error', error: 'Invalid JSON' }));
+        return;
+      }
+
+      if (message.type === 'subscribe') {
+        const botIds = Array.isArray(message.bot_ids) ? message.bot_ids : [];
+        ws.subscribed = botIds.length > 0 ? new Set(botIds) : null;
+      } else if (message.type === 'command') {
+        const result = await this.runCommand(message);
+        if (ws.readyState !== ws.OPEN) return;
+        ws.send(JSON.stringify(result.error
+          ? { type: 'result', id: message.id ?? null, success: false, error: result.error }
+          : { type: 'result', id: message.id ?? null, success: true, result }));
+      } else {
+        ws.send(JSON.stringify({ type: 'error', error: `Unknown message type: ${message.type}` }));
+      }
+    });
+
+    ws.on('error', () => ws.terminate());
+    ws.send(JSON.stringify({ type: 'hello', node: this.getNodeState(), bots: [...this.statuses.values()] }));
+  }
+
+  // Stream an event ('status', 'log', 'deleted' or 'node') to every subscribed WebSocket client
+  publish(type, data) {
+    if (type === 'status') this.statuses.set(data.bot_id, data);
+    if (type === 'deleted') this.statuses.delete(data.bot_id);
+    if (!this.wss) return;
+
+    const message = JSON.stringify({ type, ...data });
+    for (const ws of this.wss.clients) {
+      if (ws.readyState !== ws.OPEN) continue;
+      if (ws.subscribed && data.bot_id && !ws.subscribed.has(data.bot_id)) continue;
+      ws.send(message);
+    }
+  }
+}
+
+export default ControlServer;
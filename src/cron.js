@@ -0,0 +1,130 @@
+/**
+ * Cron - Five-field cron expressions in the node's local time
+ *
+ *   minute hour day-of-month month day-of-week
+ *   e.g. "0 * * * *", "*\/15 9-17 * * mon-fri", "30 6 1,15 * *", "@daily"
+ *
+ * Fields take *, numbers, ranges (a-b), lists (a,b) and steps (*\/n, a-b/n).
+ * Months and weekdays also take names (jan, mon). As in classic cron, when
+ * both day-of-month and day-of-week are restricted either one may match.
+ */
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'weekday', min: 0, max: 7, names: DAY_NAMES, offset: 0 }, // 7 is Sunday too
+];
+
+// Search no further than this for a matching time (covers Feb 29 schedules)
+const MAX_SEARCH = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  const nameIndex = field.names ? field.names.indexOf(lower) : -1;
+  const value = nameIndex !== -1 ? nameIndex + field.offset : Number(text);
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${text}" (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`Invalid range in ${field.name} "${range}"`);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+/**
+ * Parse an expression, throws with a readable message when it is invalid.
+ */
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields, got "${text}"`);
+
+  const [minute, hour, day, month, weekday] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekday.delete(7)) weekday.add(0);
+
+  return {
+    expression: text,
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*',
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayMatch = cron.day.has(date.getDate());
+  const weekdayMatch = cron.weekday.has(date.getDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) return dayMatch || weekdayMatch;
+  return dayMatch && weekdayMatch;
+}
+
+/**
+ * First matching minute strictly after `from` (ms), or null if none within five years.
+ */
+export function nextCronTime(cron, from = Date.now()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from + MAX_SEARCH;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
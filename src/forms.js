@@ -0,0 +1,515 @@
+/**
+ * Forms - Declarative automation for Bedrock server forms (modal_form_request)
+ *
+ * A script is a list of steps. Each incoming form is matched against the
+ * current step (skipping optional steps that don't match) and answered:
+ *
+ *   {
+ *     name: 'warp-spawn',
+ *     start: '/warp',              // command that opens the first form (optional)
+ *     timeout: 10000,              // ms to wait for each form
+ *     unexpected: 'fail',          // fail | ignore | close, for forms no step matches
+ *     steps: [
+ *       { match: { title: 'warps' }, button: 'spawn' },
+ *       { match: { type: 'modal' }, button: 'yes|confirm', fallback: 0 },
+ *       { match: { title: 'amount' }, optional: true,
+ *         fields: [{ label: 'amount', value: 16 }, { type: 'toggle', value: true }] },
+ *       { match: { content: 'are you sure' }, close: true },
+ *     ],
+ *     result: { success: 'teleported', failure: 'not allowed', timeout: 5000, required: true },
+ *   }
+ *
+ * match: title/content/button are case-insensitive regexes, type is
+ * simple | modal | custom. Custom form fields keep their defaults unless a
+ * fields entry (label regex, index and/or type) picks them; `fields` may
+ * also be a { labelRegex: value } map. Color codes are stripped first.
+ *
+ * Failure states: timeout, unexpected_form, missing_option, missing_field,
+ * invalid_answer, rejected (result.failure matched), closed, cancelled, error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FORMS_DIR = path.join(__dirname, '..', 'forms');
+
+const FORM_TYPES = { form: 'simple', modal: 'modal', custom_form: 'custom' };
+const UNEXPECTED_ACTIONS = ['fail', 'ignore', 'close'];
+
+function formError(state, message) {
+  const err = new Error(message);
+  err.state = state;
+  return err;
+}
+
+function stripColors(text) {
+  return String(text ?? '').replace(/§[0-9a-zA-Z]/gi, '');
+}
+
+function toRegex(pattern, where) {
+  if (pattern === undefined || pattern === null) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw new Error(`${where}: invalid regex "${pattern}"`);
+  }
+}
+
+// Escape user text so it can be used as a literal pattern
+export function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize a modal_form_request packet:
+ *   { id, type: simple|modal|custom, title, content, buttons: [{ index, text }],
+ *     fields: [{ index, type, text, options, min, max, default }] }
+ */
+export function parseForm(packet) {
+  const data = JSON.parse(packet.data);
+  const type = FORM_TYPES[data?.type];
+  if (!type) throw new Error(`Unknown form type: ${data?.type}`);
+
+  const form = { id: packet.form_id, type, title: stripColors(data.title), content: '', buttons: [], fields: [] };
+
+  if (type === 'simple') {
+    form.content = stripColors(data.content);
+    form.buttons = (data.buttons || []).map((button, index) => ({ index, text: stripColors(button.text) }));
+  } else if (type === 'modal') {
+    form.content = stripColors(data.content);
+    form.buttons = [data.button1, data.button2].map((text, index) => ({ index, text: stripColors(text) }));
+  } else {
+    form.fields = (data.content || []).map((field, index) => ({
+      index,
+      type: field.type,
+      text: stripColors(field.text),
+      options: (field.options || field.steps || []).map(stripColors), // dropdown | step_slider
+      min: field.min,
+      max: field.max,
+      default: field.default,
+    }));
+    form.content = form.fields.map(field => field.text).join('\n');
+  }
+
+  return form;
+}
+
+function compileStep(step, index) {
+  const where = `step ${step?.name || index + 1}`;
+  if (!step || typeof step !== 'object') throw new Error(`${where}: must be an object`);
+
+  const match = step.match || {};
+  if (match.type && !Object.values(FORM_TYPES).includes(match.type)) {
+    throw new Error(`${where}: match.type must be simple, modal or custom`);
+  }
+
+  let fields = step.fields || [];
+  if (!Array.isArray(fields)) {
+    fields = Object.entries(fields).map(([key, value]) => (
+      /^\d+$/.test(key) ? { index: Number(key), value } : { label: key, value }
+    ));
+  }
+
+  return {
+    name: step.name || `step ${index + 1}`,
+    optional: step.optional === true,
+    timeout: step.timeout,
+    close: step.close === true,
+    match: {
+      type: match.type || null,
+      title: toRegex(match.title, where),
+      content: toRegex(match.content, where),
+      button: toRegex(match.button, where),
+    },
+    button: typeof step.button === 'number' ? step.button : toRegex(step.button, where),
+    fallback: step.fallback,
+    fields: fields.map(entry => ({
+      ...entry,
+      label: toRegex(entry.label, where),
+      type: entry.type ? [].concat(entry.type) : null,
+    })),
+  };
+}
+
+/**
+ * Validate a script and compile its patterns, throws on the first problem.
+ */
+export function compileFormScript(script) {
+  if (!script || typeof script !== 'object') throw new Error('Form script must be an object');
+  if (!Array.isArray(script.steps) || script.steps.length === 0) throw new Error('Form script needs at least one step');
+
+  const unexpected = script.unexpected || 'fail';
+  if (!UNEXPECTED_ACTIONS.includes(unexpected)) {
+    throw new Error(`unexpected must be one of: ${UNEXPECTED_ACTIONS.join(', ')}`);
+  }
+
+  const result = script.result || {};
+  return {
+    name: script.name || 'form',
+    start: script.start || null,
+    timeout: Number(script.timeout) || 10000,
+    unexpected,
+    steps: script.steps.map(compileStep),
+    result: {
+      success: toRegex(result.success, 'result'),
+      failure: toRegex(result.failure, 'result'),
+      timeout: Number(result.timeout) || 5000,
+      required: result.required === true,
+    },
+  };
+}
+
+/**
+ * Read a script from FORMS_DIR (or dir) by name: name.json, name.yaml or name.yml.
+ */
+export async function loadFormScript(name, dir = FORMS_DIR) {
+  if (!/^[\w-]+$/.test(name)) throw new Error(`Invalid form script name: ${name}`);
+
+  for (const ext of ['.json', '.yaml', '.yml']) {
+    const file = path.join(dir, `${name}${ext}`);
+    if (!fs.existsSync(file)) continue;
+
+    const text = await fs.promises.readFile(file, 'utf8');
+    return { name, ...(ext === '.json' ? JSON.parse(text) : YAML.parse(text)) };
+  }
+  throw new Error(`Form script not found: ${name}`);
+}
+
+function matchesStep(match, form) {
+  if (match.type && match.type !== form.type) return false;
+  if (match.title && !match.title.test(form.title)) return false;
+  if (match.content && !match.content.test(form.content)) return false;
+  if (match.button && !form.buttons.some(button => match.button.test(button.text))) return false;
+  return true;
+}
+
+function defaultValue(field) {
+  switch (field.type) {
+    case 'input': return field.default ?? '';
+    case 'slider': return field.default ?? field.min ?? 0;
+    case 'dropdown':
+    case 'step_slider': return field.default ?? 0;
+    case 'toggle': return field.default ?? false;
+    default: return null; // label
+  }
+}
+
+// Convert a script value into what the field type expects
+function coerceValue(field, value) {
+  const where = `field "${field.text || field.index}"`;
+  switch (field.type) {
+    case 'label':
+      return null;
+    case 'input':
+      return String(value);
+    case 'toggle':
+      if (typeof value !== 'boolean') throw formError('invalid_answer', `${where}: toggle needs true or false`);
+      return value;
+    case 'slider': {
+      const num = Number(value);
+      if (!Number.isFinite(num)) throw formError('invalid_answer', `${where}: slider needs a number`);
+      return Math.min(Math.max(num, field.min ?? num), field.max ?? num);
+    }
+    case 'dropdown':
+    case 'step_slider': {
+      if (typeof value === 'number') {
+        if (!Number.isInteger(value) || value < 0 || value >= field.options.length) {
+          throw formError('missing_option', `${where}: no option ${value}`);
+        }
+        return value;
+      }
+      const pattern = toRegex(value, where);
+      const option = field.options.findIndex(text => pattern.test(text));
+      if (option === -1) {
+        throw formError('missing_option', `${where}: no option matching "${value}" (options: ${field.options.join(', ')})`);
+      }
+      return option;
+    }
+    default:
+      throw formError('invalid_answer', `${where}: unsupported field type ${field.type}`);
+  }
+}
+
+function answerFields(form, step) {
+  const values = form.fields.map(defaultValue);
+  const answered = new Set();
+
+  for (const entry of step.fields) {
+    const targets = form.fields.filter(field => (
+      !answered.has(field.index) &&
+      field.type !== 'label' &&
+      (entry.index === undefined || entry.index === field.index) &&
+      (!entry.label || entry.label.test(field.text)) &&
+      (!entry.type || entry.type.includes(field.type))
+    ));
+    if (targets.length === 0) {
+      if (entry.optional) continue;
+      throw formError('missing_field', `${step.name}: no field matching ${JSON.stringify({ label: entry.label?.source, index: entry.index, type: entry.type })}`);
+    }
+    for (const field of entry.all ? targets : targets.slice(0, 1)) {
+      values[field.index] = coerceValue(field, entry.value);
+      answered.add(field.index);
+    }
+  }
+  return values;
+}
+
+function pickButton(form, step) {
+  let button = null;
+  if (typeof step.button === 'number') button = form.buttons[step.button];
+  else if (step.button) button = form.buttons.find(candidate => step.button.test(candidate.text));
+  if (!button && step.fallback !== undefined) button = form.buttons[step.fallback];
+
+  if (!button) {
+    const wanted = typeof step.button === 'number' ? `#${step.button}` : `"${step.button?.source ?? ''}"`;
+    throw formError('missing_option', `${step.name}: no button ${wanted} (buttons: ${form.buttons.map(b => b.text).join(', ')})`);
+  }
+  return button;
+}
+
+/**
+ * What to send back for a form: a button index for simple forms, true/false
+ * for modals, one value per field for custom forms, null to close the form.
+ * Returns { data, answer } where answer is a readable summary.
+ */
+export function buildResponse(form, step) {
+  if (step.close) return { data: null, answer: 'closed' };
+
+  if (form.type === 'custom') {
+    const values = answerFields(form, step);
+    return { data: values, answer: values };
+  }
+  if (!step.button && step.fallback === undefined) {
+    throw formError('invalid_answer', `${step.name}: ${form.type} form needs a button`);
+  }
+
+  const button = pickButton(form, step);
+  return {
+    data: form.type === 'modal' ? button.index === 0 : button.index,
+    answer: button.text || `#${button.index}`,
+  };
+}
+
+class FormSession {
+  /**
+   * @param {object} client - bedrock-protocol client, already spawned
+   * @param {object} script - Declarative script, see the header
+   * @param {object} options
+   * @param {object} options.log - Logger (or logger.child) for progress
+   * @param {number} [options.stepDelay] - ms before answering a form
+   */
+  constructor(client, script, { log, stepDelay = 500 }) {
+    this.client = client;
+    this.script = compileFormScript(script);
+    this.log = log;
+    this.stepDelay = stepDelay;
+    this.state = 'idle'; // idle, running, waiting_result, then completed or a failure state
+    this.stepIndex = 0;
+    this.history = []; // { step, title, answer } per answered form
+    this.timer = null;
+    this.finish = null;
+
+    this.onForm = this.onForm.bind(this);
+    this.onText = this.onText.bind(this);
+    this.onClose = () => this.fail('closed', 'Connection closed');
+  }
+
+  get active() {
+    return this.state === 'running' || this.state === 'waiting_result';
+  }
+
+  /**
+   * Run the script. Resolves to { success, state, message, script, steps }
+   * and never rejects; failures resolve with success: false.
+   */
+  run() {
+    if (this.state !== 'idle') return Promise.resolve({ success: false, state: 'error', message: 'Form session already used' });
+
+    return new Promise((resolve) => {
+      this.finish = resolve;
+      this.state = 'running';
+      this.client.on('modal_form_request', this.onForm);
+      this.client.on('text', this.onText);
+      this.client.on('close', this.onClose);
+
+      if (this.script.start) {
+        this.log.info(`Executing: ${this.script.start}`);
+        try {
+          this.sendCommand(this.script.start);
+        } catch (err) {
+          this.fail('error', `Failed to send command: ${err.message}`);
+          return;
+        }
+      }
+      this.waitForForm();
+    });
+  }
+
+  cancel(reason = 'Cancelled') {
+    this.fail('cancelled', reason);
+  }
+
+  sendCommand(command) {
+    this.client.write('command_request', {
+      command,
+      origin: {
+        type: 'player',
+        uuid: '',
+        request_id: '',
+        player_entity_id: 0,
+      },
+      internal: false,
+      version: '52',
+    });
+  }
+
+  // null closes the form, the server sees a "closed" cancel reason
+  respond(formId, data) {
+    const closed = data === null;
+    this.client.write('modal_form_response', {
+      form_id: formId,
+      has_response_data: !closed,
+      data: closed ? undefined : JSON.stringify(data),
+      has_cancel_reason: closed,
+      cancel_reason: closed ? 'closed' : undefined,
+    });
+  }
+
+  get currentStep() {
+    return this.script.steps[this.stepIndex];
+  }
+
+  // Remaining steps are all optional, so the script may end here
+  canEnd() {
+    return this.script.steps.slice(this.stepIndex).every(step => step.optional);
+  }
+
+  waitForForm() {
+    // Optional steps may be skipped, so the deadline is for the first one that isn't
+    const remaining = this.script.steps.slice(this.stepIndex);
+    const step = remaining.find(candidate => !candidate.optional) || this.currentStep;
+    const timeout = Number(step.timeout) || this.script.timeout;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      if (this.canEnd()) this.afterSteps();
+      else this.fail('timeout', `Timeout: no form for ${step.name} after ${timeout / 1000}s`);
+    }, timeout);
+  }
+
+  // All steps answered: wait for the chat outcome if the script defines one
+  afterSteps() {
+    clearTimeout(this.timer);
+    const { success, failure, timeout, required } = this.script.result;
+    if (!success && !failure) {
+      this.complete('Form script completed');
+      return;
+    }
+
+    this.state = 'waiting_result';
+    this.timer = setTimeout(() => {
+      if (required) this.fail('timeout', `Timeout: no result message after ${timeout / 1000}s`);
+      else this.complete('Form script completed, no result message');
+    }, timeout);
+  }
+
+  // Index of the step this form answers, skipping optional steps that don't match
+  findStep(form) {
+    for (let index = this.stepIndex; index < this.script.steps.length; index++) {
+      const step = this.script.steps[index];
+      if (matchesStep(step.match, form)) return index;
+      if (!step.optional) break;
+    }
+    return -1;
+  }
+
+  onForm(packet) {
+    if (this.state !== 'running') return;
+
+    let form;
+    try {
+      form = parseForm(packet);
+    } catch (err) {
+      this.fail('error', `Failed to parse form ${packet.form_id}: ${err.message}`);
+      return;
+    }
+    this.log.debug(`Form ${form.id}: ${form.type}, title: ${form.title || 'N/A'}`);
+
+    const index = this.findStep(form);
+    if (index === -1) {
+      const { unexpected } = this.script;
+      if (unexpected === 'fail') {
+        this.fail('unexpected_form', `Unexpected form "${form.title}" at ${this.currentStep.name}`);
+        return;
+      }
+      this.log.debug(`Unexpected form "${form.title}", ${unexpected === 'close' ? 'closing' : 'ignoring'} it`);
+      if (unexpected === 'close') this.respond(form.id, null);
+      return;
+    }
+
+    const step = this.script.steps[index];
+    let response;
+    try {
+      response = buildResponse(form, step);
+    } catch (err) {
+      this.fail(err.state || 'error', err.message);
+      return;
+    }
+
+    this.stepIndex = index + 1;
+    this.history.push({ step: step.name, title: form.title, answer: response.answer });
+    clearTimeout(this.timer);
+
+    setTimeout(() => {
+      if (this.state !== 'running') return;
+      try {
+        this.respond(form.id, response.data);
+      } catch (err) {
+        this.fail('error', `Failed to answer form: ${err.message}`);
+        return;
+      }
+      this.log.info(`→ ${step.name}: ${JSON.stringify(response.answer)}`);
+
+      if (this.stepIndex >= this.script.steps.length) this.afterSteps();
+      else this.waitForForm();
+    }, this.stepDelay);
+  }
+
+  onText(packet) {
+    if (!this.active || !packet?.message) return;
+
+    const msg = stripColors(packet.message);
+    const { success, failure } = this.script.result;
+    if (failure && failure.test(msg)) {
+      this.fail('rejected', msg);
+    } else if (this.state === 'waiting_result' && success && success.test(msg)) {
+      this.complete(msg);
+    }
+  }
+
+  complete(message) {
+    this.done({ success: true, state: 'completed', message });
+  }
+
+  fail(state, message) {
+    this.done({ success: false, state, message });
+  }
+
+  done(result) {
+    if (!this.active) return;
+    this.state = result.state;
+    clearTimeout(this.timer);
+    this.client.off('modal_form_request', this.onForm);
+    this.client.off('text', this.onText);
+    this.client.off('close', this.onClose);
+    if (result.success) this.log.info(`✓ ${result.message}`);
+    else this.log.error(`✗ ${result.state}: ${result.message}`);
+    this.finish({ ...result, script: this.script.name, steps: this.history });
+  }
+}
+
+export default FormSession;
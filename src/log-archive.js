@@ -0,0 +1,83 @@
+/**
+ * Log Archive - Local rotating NDJSON files for trimmed and exported bot logs
+ *
+ * logs/archive/{bot_id}.ndjson is the current file; when it grows past
+ * maxBytes it rotates to .1.ndjson, .2.ndjson ... keeping maxFiles files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const LOGS_DIR = path.join(__dirname, '..', 'logs');
+
+function safeId(botId) {
+  return String(botId).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+class LogArchive {
+  constructor({ dir = path.join(LOGS_DIR, 'archive'), maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+  }
+
+  filePath(botId, index = 0) {
+    const suffix = index > 0 ? `.${index}` : '';
+    return path.join(this.dir, `${safeId(botId)}${suffix}.ndjson`);
+  }
+
+  rotate(botId) {
+    fs.rmSync(this.filePath(botId, this.maxFiles - 1), { force: true });
+    for (let i = this.maxFiles - 2; i >= 0; i--) {
+      const from = this.filePath(botId, i);
+      if (fs.existsSync(from)) fs.renameSync(from, this.filePath(botId, i + 1));
+    }
+  }
+
+  append(botId, entries) {
+    if (entries.length === 0) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const current = this.filePath(botId);
+    try {
+      if (fs.statSync(current).size >= this.maxBytes) this.rotate(botId);
+    } catch (err) {
+      // No file yet
+    }
+
+    fs.appendFileSync(current, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+  }
+
+  // Archived entries between from and to (ms), oldest first
+  read(botId, { from = 0, to = Infinity } = {}) {
+    const entries = [];
+
+    for (let i = this.maxFiles - 1; i >= 0; i--) {
+      let content;
+      try {
+        content = fs.readFileSync(this.filePath(botId, i), 'utf8');
+      } catch (err) {
+        continue;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+          const entry = JSON.parse(line);
+          const time = Date.parse(entry.created_at);
+          if (time >= from && time <= to) entries.push(entry);
+        } catch (err) {
+          // Skip partial lines
+        }
+      }
+    }
+
+    return entries;
+  }
+}
+
+export default LogArchive;
@@ -0,0 +1,126 @@
+/**
+ * Log Pipeline - Buffers bot logs and writes them in batches
+ *
+ * Lines are flushed per bot every `interval` ms or as soon as `batchSize`
+ * lines are waiting. Consecutive identical lines collapse into one entry,
+ * and lines over `maxPerMinute` (or over the buffer cap while a write is
+ * slow) are dropped and counted instead of flooding the backend.
+ */
+
+const BUFFER_CAP_BATCHES = 10; // Buffer cap as a multiple of batchSize
+
+class LogPipeline {
+  /**
+   * @param {object} options
+   * @param {number} options.interval - Flush interval in ms
+   * @param {number} options.batchSize - Lines per bot that trigger an early flush
+   * @param {number} options.maxPerMinute - Lines per bot accepted per minute
+   * @param {Function} options.write - async (botId, entries, dropped) => void
+   * @param {Function} [options.onError] - (err, botId) => void
+   */
+  constructor({ interval, batchSize, maxPerMinute, write, onError }) {
+    this.interval = interval;
+    this.batchSize = batchSize;
+    this.maxPerMinute = maxPerMinute;
+    this.write = write;
+    this.onError = onError || (() => {});
+    this.buffers = new Map(); // bot_id -> { entries, dropped, flushing (promise), windowStart, windowCount }
+    this.timer = null;
+  }
+
+  getBuffer(botId) {
+    let buffer = this.buffers.get(botId);
+    if (!buffer) {
+      buffer = { entries: [], dropped: 0, flushing: null, windowStart: Date.now(), windowCount: 0 };
+      this.buffers.set(botId, buffer);
+    }
+    return buffer;
+  }
+
+  add(botId, logType, message) {
+    const buffer = this.getBuffer(botId);
+
+    // Collapse repeats of the last buffered line
+    const last = buffer.entries[buffer.entries.length - 1];
+    if (last && last.log_type === logType && last.message === message) {
+      last.count++;
+      return;
+    }
+
+    // Per-minute rate limit
+    const now = Date.now();
+    if (now - buffer.windowStart >= 60000) {
+      buffer.windowStart = now;
+      buffer.windowCount = 0;
+    }
+    if (buffer.windowCount >= this.maxPerMinute || buffer.entries.length >= this.batchSize * BUFFER_CAP_BATCHES) {
+      buffer.dropped++;
+      return;
+    }
+    buffer.windowCount++;
+
+    buffer.entries.push({
+      log_type: logType,
+      message,
+      created_at: new Date(now).toISOString(),
+      count: 1,
+    });
+
+    // A write already in progress takes the rest on the next flush
+    if (buffer.entries.length >= this.batchSize && !buffer.flushing) {
+      this.flush(botId);
+    }
+  }
+
+  async flush(botId) {
+    const buffer = this.buffers.get(botId);
+    if (!buffer) return;
+
+    // One write per bot at a time, keeps batches in order
+    if (buffer.flushing) {
+      await buffer.flushing;
+      return this.flush(botId);
+    }
+    if (buffer.entries.length === 0 && buffer.dropped === 0) return;
+
+    const entries = buffer.entries.splice(0).map(({ count, ...entry }) => (
+      count > 1 ? { ...entry, message: `${entry.message} (x${count})`, repeat: count } : entry
+    ));
+    const dropped = buffer.dropped;
+    buffer.dropped = 0;
+
+    if (dropped > 0) {
+      entries.push({
+        log_type: 'info',
+        message: `⚠️ ${dropped} log line(s) dropped (rate limit)`,
+        created_at: new Date().toISOString(),
+      });
+    }
+
+    buffer.flushing = this.write(botId, entries, dropped)
+      .catch(err => this.onError(err, botId))
+      .finally(() => { buffer.flushing = null; });
+    await buffer.flushing;
+  }
+
+  async flushAll() {
+    await Promise.all([...this.buffers.keys()].map(botId => this.flush(botId)));
+  }
+
+  // Drop buffered lines for a bot that no longer exists
+  forget(botId) {
+    this.buffers.delete(botId);
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.flushAll(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default LogPipeline;
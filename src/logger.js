@@ -0,0 +1,119 @@
+/**
+ * Logger - Leveled logger shared by the node server and test scripts
+ *
+ * Settings (environment wins over configure()):
+ *   LOG_LEVEL           trace | debug | info | warn | error   (default info)
+ *   LOG_FORMAT          text | json                           (default text)
+ *   LOG_FILE            optional file to also write to
+ *   LOG_FILE_MAX_BYTES  rotate the file past this size       (default 10 MB)
+ *   LOG_FILE_MAX_FILES  rotated files to keep                 (default 5)
+ *
+ * Child loggers tag every line with context, e.g. logger.child({ bot_id, username }).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50 };
+
+function getTimestamp() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+}
+
+// Size-based rotation: file -> file.1 -> file.2 ...
+class RotatingFile {
+  constructor(filePath, maxBytes, maxFiles) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    try {
+      this.size = fs.statSync(filePath).size;
+    } catch (err) {
+      this.size = 0;
+    }
+  }
+
+  rotate() {
+    fs.rmSync(`${this.filePath}.${this.maxFiles - 1}`, { force: true });
+    for (let i = this.maxFiles - 2; i >= 1; i--) {
+      if (fs.existsSync(`${this.filePath}.${i}`)) fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+    }
+    if (fs.existsSync(this.filePath)) fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+
+  write(line) {
+    if (this.size + line.length > this.maxBytes && this.size > 0) this.rotate();
+    fs.appendFileSync(this.filePath, line);
+    this.size += Buffer.byteLength(line);
+  }
+}
+
+class Logger {
+  constructor(root = null, context = {}) {
+    this.root = root || this;
+    this.context = context;
+
+    if (!root) this.configure();
+  }
+
+  // options: the "logging" section of config.json (may be missing)
+  configure(options) {
+    const env = process.env;
+    const { level, format, file, maxBytes, maxFiles } = options || {};
+    const name = (env.LOG_LEVEL || level || 'info').toLowerCase();
+    const filePath = env.LOG_FILE || file || null;
+
+    this.level = LEVELS[name] ? name : 'info';
+    this.format = (env.LOG_FORMAT || format) === 'json' ? 'json' : 'text';
+    this.file = filePath ? new RotatingFile(
+      path.resolve(filePath),
+      parseInt(env.LOG_FILE_MAX_BYTES) || maxBytes || 10 * 1024 * 1024,
+      parseInt(env.LOG_FILE_MAX_FILES) || maxFiles || 5,
+    ) : null;
+  }
+
+  child(context) {
+    return new Logger(this.root, { ...this.context, ...context });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.root.level];
+  }
+
+  write(level, msg, label = level.toUpperCase()) {
+    if (!this.isEnabled(level)) return;
+
+    const root = this.root;
+    let line;
+    if (root.format === 'json') {
+      line = JSON.stringify({ time: new Date().toISOString(), level, ...(label !== level.toUpperCase() && { label }), ...this.context, msg });
+    } else {
+      const tag = this.context.username || this.context.component;
+      line = `[${getTimestamp()}] [${label}]: ${tag ? `[${tag}] ` : ''}${msg}`;
+    }
+
+    console.log(line);
+    if (root.file) {
+      try {
+        root.file.write(line + '\n');
+      } catch (err) {
+        // Never let a full disk take the node down
+      }
+    }
+  }
+
+  trace(msg) { this.write('trace', msg); }
+  debug(msg) { this.write('debug', msg); }
+  info(msg) { this.write('info', msg); }
+  warn(msg) { this.write('warn', msg); }
+  error(msg) { this.write('error', msg); }
+
+  // Chat and system lines from the Minecraft server
+  server(msg) { this.write('info', msg, 'SERVER'); }
+}
+
+export default new Logger();
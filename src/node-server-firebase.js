@@ -1,225 +1,928 @@
 /**
  * CakraNode - Bot Node Server (Firebase Realtime Version)
  * Real-time communication using Firebase Realtime Database
+ * With --memory (npm run node:memory) it runs offline on in-memory storage,
+ * taking commands through the local control API only.
  */
 
+import 'dotenv/config';
 import os from 'os';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { monitorEventLoopDelay } from 'perf_hooks';
 import bedrock from 'bedrock-protocol';
-import { initializeApp } from 'firebase/app';
-import { getDatabase, ref, set, push, onChildAdded, remove, get } from 'firebase/database';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import proxyManager from './proxy-manager.js';
+import { createProxyRelay } from './proxy-relay.js';
+import { CONFIG_PATH, loadConfig, watchConfig } from './config.js';
+import { resolvePolicy, getDelay, matchKickRule } from './reconnect-policy.js';
+import CommandQueue from './command-queue.js';
+import CapacityLimiter from './capacity.js';
+import BotLifecycle from './bot-lifecycle.js';
+import { selectBots, runStaggered } from './bulk.js';
+import ShopSession from './shop.js';
+import FormSession, { FORMS_DIR, loadFormScript } from './forms.js';
+import Scheduler from './scheduler.js';
+import TriggerEngine, { compileTriggers } from './triggers.js';
+import AntiAfk, { resolveAntiAfk } from './anti-afk.js';
+import botState from './bot-state.js';
+import LogPipeline from './log-pipeline.js';
+import LogArchive, { LOGS_DIR } from './log-archive.js';
+import logger from './logger.js';
+import ControlServer from './control-server.js';
+import { createStorage } from './storage.js';
+import { getProfilesFolder, recordLogin, getTokenInfo, listTokens, getExpiringTokens, revokeTokens, refreshTokens } from './auth-store.js';
 
 // Load config from JSON
 let config;
 try {
-  const configPath = path.join(__dirname, '..', 'config.json');
-  const configFile = fs.readFileSync(configPath, 'utf8');
-  config = JSON.parse(configFile);
+  config = loadConfig();
 } catch (error) {
   console.error('❌ Failed to load config.json:', error.message);
   console.error('Please copy config.example.json to config.json and fill in your settings');
   process.exit(1);
 }
+logger.configure(config.logging);
 
 // Firebase config
 const firebaseConfig = {
-  apiKey: config.firebase.apiKey,
-  authDomain: config.firebase.authDomain,
-  databaseURL: config.firebase.databaseURL,
-  projectId: config.firebase.projectId,
-  storageBucket: config.firebase.storageBucket,
-  messagingSenderId: config.firebase.messagingSenderId,
-  appId: config.firebase.appId,
+  apiKey: config.firebase?.apiKey,
+  authDomain: config.firebase?.authDomain,
+  databaseURL: config.firebase?.databaseURL,
+  projectId: config.firebase?.projectId,
+  storageBucket: config.firebase?.storageBucket,
+  messagingSenderId: config.firebase?.messagingSenderId,
+  appId: config.firebase?.appId,
 };
 
 // Configuration
-const CONFIG = {
-  apiUrl: config.apiUrl || 'http://localhost:3000',
-  accessToken: config.accessToken,
-  nodeIp: config.nodeIp || 'auto',
-  proxyHost: config.proxy?.host || null,
-  proxyPort: config.proxy?.port || null,
-  proxyUsername: config.proxy?.username || null,
-  proxyPassword: config.proxy?.password || null,
-};
+function buildConfig(config) {
+  return {
+    storage: config.storage?.type || 'firebase',
+    localNodeId: config.storage?.nodeId || 'local',
+    apiUrl: config.apiUrl || 'http://localhost:3000',
+    accessToken: config.accessToken,
+    nodeIp: config.nodeIp || 'auto',
+    proxyHost: config.proxy?.host || null,
+    proxyPort: config.proxy?.port || null,
+    proxyType: config.proxy?.type || 'socks5',
+    proxyUsername: config.proxy?.username || null,
+    proxyPassword: config.proxy?.password || null,
+    proxyCheckInterval: config.proxy?.checkInterval || 60000,
+    authExpiryWarningDays: config.auth?.expiryWarningDays || 7,
+    heartbeatInterval: config.heartbeat?.interval || 10000,
+    heartbeatMaxFailures: config.heartbeat?.maxFailures || 3,
+    capacityMaxBots: config.capacity?.maxBots ?? 0,
+    capacityMaxMemoryPercent: config.capacity?.maxMemoryPercent ?? 90,
+    capacityMaxCpuPercent: config.capacity?.maxCpuPercent ?? 0,
+    capacityMaxConcurrentConnects: config.capacity?.maxConcurrentConnects ?? 5,
+    capacityOnFull: config.capacity?.onFull || 'reject',
+    capacityQueueTimeout: config.capacity?.queueTimeout || 60000,
+    bulkStagger: config.bulk?.stagger ?? 2000,
+    bulkConcurrency: config.bulk?.concurrency || 5,
+    commandTtl: config.commands?.ttl || 300000,
+    restoreStagger: config.restore?.stagger ?? 2000,
+    // Relative to config.json, not to wherever the node was started from
+    formsDir: config.forms?.dir ? path.resolve(path.dirname(CONFIG_PATH), config.forms.dir) : FORMS_DIR,
+    shutdownGracePeriod: config.shutdown?.gracePeriod || 10000,
+    // LOG_BATCH_* from .env take precedence over config.json
+    logBatchInterval: parseInt(process.env.LOG_BATCH_INTERVAL) || config.logs?.batchInterval || 1000,
+    logBatchSize: parseInt(process.env.LOG_BATCH_SIZE) || config.logs?.batchSize || 50,
+    logMaxPerMinute: config.logs?.maxPerMinute || 300,
+    logRetentionMaxEntries: config.logs?.retention?.maxEntries ?? 1000,
+    logRetentionMaxAge: config.logs?.retention?.maxAge ?? 7 * 24 * 60 * 60 * 1000,
+    logRetentionInterval: config.logs?.retention?.interval || 600000,
+    logArchive: config.logs?.archive?.enabled ?? false,
+    logArchiveMaxBytes: config.logs?.archive?.maxBytes || 10 * 1024 * 1024,
+    logArchiveMaxFiles: config.logs?.archive?.maxFiles || 5,
+    controlEnabled: config.control?.enabled ?? false,
+    controlHost: config.control?.host || '127.0.0.1',
+    controlPort: config.control?.port || 8787,
+    controlToken: process.env.CONTROL_TOKEN || config.control?.token || null,
+  };
+}
 
-const botClients = new Map();
-let nodeId = null;
-let db = null;
+const CONFIG = buildConfig(config);
+
+// Fields that can change while bots are running; the rest need a restart
+const RELOADABLE_FIELDS = [
+  'apiUrl', 'accessToken', 'nodeIp',
+  'proxyHost', 'proxyPort', 'proxyType', 'proxyUsername', 'proxyPassword', 'proxyCheckInterval',
+  'authExpiryWarningDays', 'commandTtl', 'restoreStagger', 'heartbeatInterval', 'heartbeatMaxFailures',
+  'capacityMaxBots', 'capacityMaxMemoryPercent', 'capacityMaxCpuPercent', 'capacityMaxConcurrentConnects',
+  'capacityOnFull', 'capacityQueueTimeout', 'bulkStagger', 'bulkConcurrency', 'formsDir',
+  'shutdownGracePeriod', 'logRetentionMaxEntries', 'logRetentionMaxAge', 'logArchive',
+];
+
+// Global proxy from config.json is the default when set
+function applyGlobalProxy() {
+  proxyManager.setGlobal(CONFIG.proxyHost && CONFIG.proxyPort ? {
+    host: CONFIG.proxyHost,
+    port: parseInt(CONFIG.proxyPort),
+    type: CONFIG.proxyType,
+    username: CONFIG.proxyUsername,
+    password: CONFIG.proxyPassword,
+  } : null);
+}
+applyGlobalProxy();
+
+function defaultProxyStrategy() {
+  return CONFIG.proxyHost ? 'global' : 'none';
+}
 
-// Logger
-function getTimestamp() {
-  const now = new Date();
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+function capacityLimits() {
+  return {
+    maxBots: CONFIG.capacityMaxBots,
+    maxMemoryPercent: CONFIG.capacityMaxMemoryPercent,
+    maxCpuPercent: CONFIG.capacityMaxCpuPercent,
+    maxConcurrentConnects: CONFIG.capacityMaxConcurrentConnects,
+  };
 }
+const capacity = new CapacityLimiter(capacityLimits());
 
-function logInfo(msg) { console.log(`[${getTimestamp()}] [INFO]: ${msg}`); }
-function logWarn(msg) { console.log(`[${getTimestamp()}] [WARN]: ${msg}`); }
-function logError(msg) { console.log(`[${getTimestamp()}] [ERROR]: ${msg}`); }
-function logServer(msg) { console.log(`[${getTimestamp()}] [SERVER]: ${msg}`); }
+const botClients = new Map();
+const lifecycle = new BotLifecycle(); // Per-bot state and generation, see bot-lifecycle.js
+let nodeId = null;
+let storage = null;
+let heartbeatTimer = null;
+let unsubscribeCommands = null;
+let shuttingDown = false;
+let controlServer = null;
 
-// Firebase operations
-function initFirebase() {
+// Storage backend (Firebase RTDB, or in-memory for offline runs)
+function initStorage() {
   try {
-    const app = initializeApp(firebaseConfig);
-    db = getDatabase(app);
-    logInfo('Firebase initialized successfully');
+    storage = createStorage(CONFIG.storage, firebaseConfig);
+    storage.init();
+    logger.info(`Storage initialized (${CONFIG.storage})`);
     return true;
   } catch (err) {
-    logError(`Firebase initialization failed: ${err.message}`);
+    logger.error(`Storage initialization failed: ${err.message}`);
+    storage = null;
     return false;
   }
 }
 
-// Listen for commands in realtime from Firebase
-function listenForCommands() {
-  if (!db || !nodeId) {
-    logError('Cannot listen - Firebase or nodeId not ready');
+// No dashboard API to register with or heartbeat to when running offline
+function isOffline() {
+  return CONFIG.storage === 'memory';
+}
+
+/**
+ * Control plane connectivity. api is the dashboard (register/heartbeat),
+ * storage the Firebase connection. While either is down the node is
+ * "degraded": bots keep running and the local control API still works,
+ * everything else resumes once both are back.
+ */
+const connectivity = {
+  mode: 'starting',
+  api: isOffline() ? 'disabled' : 'unknown', // Offline nodes have no API by design, that isn't degraded
+  storage: 'unknown',
+  since: Date.now(),
+};
+
+// Still 'starting' until both sides have reported once
+function connectivityMode({ api, storage: storageState }) {
+  if (api === 'unknown' || storageState === 'unknown') return 'starting';
+  const apiUp = api === 'connected' || api === 'disabled';
+  return apiUp && storageState === 'connected' ? 'online' : 'degraded';
+}
+
+function setConnectivity(changes) {
+  const next = { ...connectivity, ...changes };
+  const mode = connectivityMode(next);
+  if (mode === connectivity.mode && next.api === connectivity.api && next.storage === connectivity.storage) return;
+  
+  if (mode !== connectivity.mode) {
+    next.since = Date.now();
+    if (mode === 'degraded') {
+      logger.warn(`Node degraded (api: ${next.api}, storage: ${next.storage}), bots keep running`);
+    } else if (connectivity.mode === 'degraded') {
+      logger.info('Control plane reachable again, node back online');
+    }
+  }
+  Object.assign(connectivity, next, { mode });
+  publishEvent('node', { ...connectivity });
+}
+
+// Follow the storage connection, re-attach listeners when it comes back
+let storageWasConnected = false;
+
+function watchStorageConnection() {
+  storage.watchConnection((connected) => {
+    if (connected) {
+      if (storageWasConnected && connectivity.storage === 'disconnected') {
+        logger.info('Storage reconnected, re-attaching listeners');
+        reattachListeners();
+      }
+      storageWasConnected = true;
+      setConnectivity({ storage: 'connected' });
+    } else if (storageWasConnected) {
+      logger.warn('Storage connection lost');
+      setConnectivity({ storage: 'disconnected' });
+    }
+  });
+}
+
+function reattachListeners() {
+  if (shuttingDown) return;
+  if (unsubscribeCommands) unsubscribeCommands();
+  unsubscribeCommands = null;
+  listenForCommands();
+}
+
+// Identifies this process when claiming commands
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Commands for the same bot run in order, different bots in parallel
+const commandQueue = new CommandQueue();
+
+// When a command was created, if the frontend recorded it
+function getCommandTime(command) {
+  const created = command.created_at || command.timestamp;
+  if (!created) return null;
+  const time = typeof created === 'number' ? created : Date.parse(created);
+  return isNaN(time) ? null : time;
+}
+
+async function deleteCommand(commandId) {
+  try {
+    await storage.deleteCommand(nodeId, commandId);
+    logger.info(`Command ${commandId} deleted`);
+  } catch (err) {
+    logger.error(`Failed to delete command: ${err.message}`);
+  }
+}
+
+// Drop commands older than the TTL instead of replaying them
+async function expireCommand(commandId, command, reason) {
+  logger.warn(`Command ${commandId} (${command.action}) ${reason}, discarding`);
+  await writeCommandResult(commandId, command, {
+    status: 'expired',
+    error: reason,
+    finished_at: Date.now(),
+  });
+  await deleteCommand(commandId);
+}
+
+async function handleCommand(commandId, command) {
+  // Leave it unclaimed for the next process
+  if (shuttingDown) return;
+  
+  const createdAt = getCommandTime(command);
+  if (createdAt && Date.now() - createdAt > CONFIG.commandTtl) {
+    await expireCommand(commandId, command, `is older than ${CONFIG.commandTtl / 1000}s`);
+    return;
+  }
+  
+  // A claim left behind by a crashed process: never replay it
+  if (command.claimed_by && command.claimed_by !== INSTANCE_ID) {
+    if (command.claimed_at && Date.now() - command.claimed_at > CONFIG.commandTtl) {
+      await expireCommand(commandId, command, `was abandoned by ${command.claimed_by}`);
+    } else {
+      logger.info(`Command ${commandId} already claimed by ${command.claimed_by}, skipping`);
+    }
     return;
   }
+  
+  // Atomic, false when the command is gone or another live process claimed it
+  let claimed = false;
+  try {
+    claimed = await storage.claimCommand(nodeId, commandId, INSTANCE_ID);
+  } catch (err) {
+    logger.error(`Failed to claim command ${commandId}: ${err.message}`);
+  }
+  if (!claimed) {
+    logger.info(`Command ${commandId} claimed elsewhere, skipping`);
+    return;
+  }
+  
+  // Process the command and report the outcome
+  await runCommand(commandId, command);
+  
+  // Delete the command after processing
+  await deleteCommand(commandId);
+}
 
-  const commandsRef = ref(db, `nodes/${nodeId}/commands`);
-  logInfo('Listening for commands from Firebase RTDB...');
+// Commands queued or running in this process
+const activeCommands = new Set();
 
-  onChildAdded(commandsRef, async (snapshot) => {
-    const commandId = snapshot.key;
-    const command = snapshot.val();
+// Listen for commands in realtime from storage
+function listenForCommands() {
+  if (!storage || !nodeId) {
+    logger.error('Cannot listen - storage or nodeId not ready');
+    return;
+  }
 
-    logInfo(`New command: ${command.action} for bot ${command.bot_id || 'N/A'}`);
+  logger.info(`Listening for commands (${CONFIG.storage})...`);
+
+  unsubscribeCommands = storage.watchCommands(nodeId, (commandId, command) => {
+    // Re-attached listeners deliver existing commands again, and our own claim would pass
+    if (activeCommands.has(commandId)) return;
+    activeCommands.add(commandId);
+    
+    logger.info(`New command: ${command.action} for bot ${command.bot_id || 'N/A'}`);
     
-    // Process the command
-    await processCommand(command);
+    const queueKey = command.bot_id || `command:${commandId}`;
+    commandQueue.enqueue(queueKey, () => handleCommand(commandId, command)).catch((err) => {
+      logger.error(`Command ${commandId} failed: ${err.message}`);
+    }).finally(() => activeCommands.delete(commandId));
+  });
+}
 
-    // Delete the command after processing
+/**
+ * Command transports besides storage (the local control server) hand
+ * commands to submitCommand and receive bot events through publish(type, data).
+ */
+const transports = [];
+
+function publishEvent(type, data) {
+  for (const transport of transports) {
     try {
-      await remove(ref(db, `nodes/${nodeId}/commands/${commandId}`));
-      logInfo(`Command ${commandId} deleted from Firebase`);
+      transport.publish(type, data);
     } catch (err) {
-      logError(`Failed to delete command: ${err.message}`);
+      logger.error(`Failed to publish ${type} event: ${err.message}`);
     }
+  }
+}
+
+// Same per-bot ordering as storage commands, minus claiming and result records
+function submitCommand(command) {
+  if (shuttingDown) return { error: 'Node is shutting down' };
+  
+  const commandId = `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  logger.info(`New local command: ${command.action} for bot ${command.bot_id || 'N/A'}`);
+  return commandQueue.enqueue(command.bot_id || `command:${commandId}`, () => processCommand(command));
+}
+
+async function startControlServer() {
+  if (!CONFIG.controlEnabled) return;
+  
+  try {
+    controlServer = new ControlServer({
+      host: CONFIG.controlHost,
+      port: CONFIG.controlPort,
+      token: CONFIG.controlToken,
+      onCommand: submitCommand,
+      getNodeState: () => ({ node_id: nodeId, ...connectivity }),
+    });
+    controlServer.on('error', err => logger.error(`Control server error: ${err.message}`));
+    await controlServer.start();
+    transports.push(controlServer);
+    logger.info(`Control API listening on http://${CONFIG.controlHost}:${CONFIG.controlPort} (WebSocket at /ws)`);
+  } catch (err) {
+    logger.error(`Failed to start control server: ${err.message}`);
+    controlServer = null;
+  }
+}
+
+// Results are keyed by reply_to when the sender asked for one, else by command id
+async function writeCommandResult(commandId, command, record) {
+  if (!storage || !nodeId) return;
+  
+  try {
+    await storage.setCommandResult(nodeId, command.reply_to || commandId, {
+      command_id: commandId,
+      correlation_id: command.reply_to || command.correlation_id || null,
+      action: command.action || null,
+      bot_id: command.bot_id || null,
+      ...record,
+    });
+  } catch (err) {
+    logger.error(`Failed to write command result: ${err.message}`);
+  }
+}
+
+// Acknowledge, process and record the result of one command
+async function runCommand(commandId, command) {
+  const startedAt = Date.now();
+  await writeCommandResult(commandId, command, { status: 'running', started_at: startedAt });
+  
+  const result = await processCommand(command);
+  const finishedAt = Date.now();
+  
+  await writeCommandResult(commandId, command, {
+    status: result.error ? 'error' : 'success',
+    result: result.error ? null : result,
+    error: result.error || null,
+    started_at: startedAt,
+    finished_at: finishedAt,
+    duration_ms: finishedAt - startedAt,
   });
+  
+  return result;
 }
 
+// Heartbeat outcome: 'ok', 'failed', or 'unknown' when the dashboard no longer knows this node
 async function updateNodeStatus(data) {
+  if (isOffline()) return 'ok';
   if (!nodeId) {
-    logError('Node not registered yet');
-    return;
+    logger.error('Node not registered yet');
+    return 'failed';
   }
 
   try {
     const response = await fetch(`${CONFIG.apiUrl}/api/node/heartbeat`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${CONFIG.accessToken}`,
+      },
       body: JSON.stringify({
         node_id: nodeId,
-        secret_key: 'cn-12345678abcdefghij',
+        access_token: CONFIG.accessToken,
         stats: data.stats || {},
+        ...(data.status && { status: data.status }),
       }),
     });
 
     const result = await response.json();
     if (!result.success) {
-      logError(`Heartbeat failed: ${result.error}`);
+      logger.error(`Heartbeat failed: ${result.error}`);
+      const unknown = response.status === 404 || /not found|unknown node/i.test(result.error || '');
+      return unknown ? 'unknown' : 'failed';
     }
+    setConnectivity({ api: 'connected' });
+    return 'ok';
   } catch (err) {
-    logError(`Failed to send heartbeat: ${err.message}`);
+    logger.error(`Failed to send heartbeat: ${err.message}`);
+    return 'failed';
   }
 }
 
-async function updateBotStatus(botId, status, error = null) {
-  if (!db) {
-    logError('Firebase not initialized');
+// Last status per bot, for the heartbeat's per-status counts
+const botStatuses = new Map();
+
+async function updateBotStatus(botId, status, error = null, extra = {}) {
+  if (status === 'deleted') botStatuses.delete(botId);
+  else botStatuses.set(botId, status);
+  publishEvent('status', { bot_id: botId, status, error, ...extra, timestamp: Date.now() });
+  
+  if (!storage) {
+    logger.error('Storage not initialized');
     return;
   }
   
   try {
-    await set(ref(db, `bots/${botId}/status`), {
+    await storage.setBotStatus(botId, {
       status,
       error,
+      ...extra,
       timestamp: Date.now(),
     });
   } catch (err) {
-    logError(`Failed to update bot status: ${err.message}`);
+    logger.error(`Failed to update bot status: ${err.message}`);
   }
 }
 
+// Write one batch of log lines, lines older than a dashboard "clear" are skipped
+async function writeBotLogs(botId, entries, dropped) {
+  if (!storage) {
+    throw new Error('Storage not initialized');
+  }
+  
+  const written = await storage.appendLogs(botId, entries, dropped);
+  if (written > 0) logsDirty.add(botId);
+}
+
+const logPipeline = new LogPipeline({
+  interval: CONFIG.logBatchInterval,
+  batchSize: CONFIG.logBatchSize,
+  maxPerMinute: CONFIG.logMaxPerMinute,
+  write: writeBotLogs,
+  onError: (err, botId) => logger.error(`Failed to add bot log for ${botId}: ${err.message}`),
+});
+
+// Buffered, see LogPipeline
 async function addBotLog(botId, logType, message) {
-  if (!db) {
-    logError('Firebase not initialized');
+  publishEvent('log', { bot_id: botId, log_type: logType, message, created_at: new Date().toISOString() });
+  logPipeline.add(botId, logType, message);
+}
+
+// Log retention
+const logArchive = new LogArchive({
+  maxBytes: CONFIG.logArchiveMaxBytes,
+  maxFiles: CONFIG.logArchiveMaxFiles,
+});
+const logsDirty = new Set(); // Bots with new log writes since the last count check
+let logRetentionTimer = null;
+let logRetentionFirstRun = true;
+
+// Node defaults from config.json, overridable per bot with payload.log_retention
+function getRetentionPolicy(botId) {
+  const custom = botState.get(botId)?.payload?.log_retention || {};
+  return {
+    maxEntries: custom.max_entries ?? CONFIG.logRetentionMaxEntries,
+    maxAge: custom.max_age ?? CONFIG.logRetentionMaxAge,
+    archive: custom.archive ?? CONFIG.logArchive,
+  };
+}
+
+// Delete (and optionally archive) logs past the bot's age/count limits
+async function trimBotLogs(botId, checkCount) {
+  const policy = getRetentionPolicy(botId);
+  const trimmed = new Map();
+  
+  if (policy.maxAge > 0) {
+    const old = await storage.readLogs(botId, { to: Date.now() - policy.maxAge });
+    old.forEach(entry => trimmed.set(entry.key, entry));
+  }
+  
+  if (checkCount && policy.maxEntries > 0) {
+    const newest = await storage.readLogs(botId, { limit: policy.maxEntries });
+    if (newest.length >= policy.maxEntries) {
+      const excess = await storage.readLogs(botId, { beforeKey: newest[0].key });
+      excess.forEach(entry => trimmed.set(entry.key, entry));
+    }
+  }
+  
+  if (trimmed.size === 0) return 0;
+  
+  const entries = [...trimmed.values()];
+  if (policy.archive) logArchive.append(botId, entries);
+  
+  await storage.deleteLogs(botId, entries.map(entry => entry.key));
+  return entries.length;
+}
+
+// Deleted bots drop out of the retention sweep, so their logs go with them
+async function purgeBotLogs(botId) {
+  const policy = getRetentionPolicy(botId);
+  const entries = await storage.readLogs(botId);
+  if (entries.length === 0) return 0;
+  
+  if (policy.archive) logArchive.append(botId, entries);
+  await storage.deleteLogs(botId, entries.map(entry => entry.key));
+  return entries.length;
+}
+
+async function enforceLogRetention() {
+  if (!storage) return;
+  
+  const botIds = new Set([...botState.getAll().map(bot => bot.bot_id), ...logsDirty]);
+  const checkAll = logRetentionFirstRun;
+  logRetentionFirstRun = false;
+  
+  for (const botId of botIds) {
+    const checkCount = checkAll || logsDirty.has(botId);
+    logsDirty.delete(botId);
+    try {
+      const count = await trimBotLogs(botId, checkCount);
+      if (count > 0) logger.info(`Trimmed ${count} log entries for bot ${botId}`);
+    } catch (err) {
+      logger.error(`Log retention failed for bot ${botId}: ${err.message}`);
+    }
+  }
+}
+
+function startLogRetention() {
+  enforceLogRetention();
+  logRetentionTimer = setInterval(enforceLogRetention, CONFIG.logRetentionInterval);
+}
+
+function parseTime(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return isNaN(time) ? fallback : time;
+}
+
+// Export a bot's log history (live + archived) as a time-ranged slice or a file
+async function exportLogs(command) {
+  const { bot_id, payload = {} } = command;
+  if (!bot_id) {
+    return { error: 'Missing bot_id' };
+  }
+  
+  const from = parseTime(payload.from, 0);
+  const to = parseTime(payload.to, Date.now());
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+  
+  await logPipeline.flush(bot_id);
+  
+  const live = await storage.readLogs(bot_id, { from, to: to + 1 });
+  const liveKeys = new Set(live.map(entry => entry.key));
+  const archived = payload.include_archive === false
+    ? []
+    : logArchive.read(bot_id, { from, to }).filter(entry => !liveKeys.has(entry.key));
+  const entries = [...archived, ...live];
+  
+  if (payload.destination === 'file') {
+    const exportDir = path.join(LOGS_DIR, 'exports');
+    const file = path.join(exportDir, `${String(bot_id).replace(/[^a-zA-Z0-9_-]/g, '_')}-${Date.now()}.ndjson`);
+    fs.mkdirSync(exportDir, { recursive: true });
+    fs.writeFileSync(file, entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : ''));
+    logger.info(`Exported ${entries.length} log entries for bot ${bot_id} to ${file}`);
+    return { message: 'Logs exported', file, count: entries.length };
+  }
+  
+  const limit = parseInt(payload.limit) || 1000;
+  return {
+    message: 'Logs exported',
+    count: entries.length,
+    truncated: entries.length > limit,
+    entries: entries.slice(-limit),
+  };
+}
+
+async function updateBotProxy(botId, proxy, strategy) {
+  if (!storage) {
+    logger.error('Storage not initialized');
+    return;
+  }
+
+  try {
+    await storage.setBotProxy(botId, proxy ? {
+      strategy,
+      type: proxy.type,
+      host: proxy.host,
+      port: proxy.port,
+      timestamp: Date.now(),
+    } : null);
+  } catch (err) {
+    logger.error(`Failed to update bot proxy: ${err.message}`);
+  }
+}
+
+// Apply a changed config.json in place
+function reloadConfig(newConfig) {
+  const next = buildConfig(newConfig);
+  const changed = RELOADABLE_FIELDS.filter(field => next[field] !== CONFIG[field]);
+  
+  // Logging settings always apply straight away
+  logger.configure(newConfig.logging);
+  
+  if (next.storage !== CONFIG.storage || JSON.stringify(newConfig.firebase) !== JSON.stringify(config.firebase)) {
+    logger.warn('config.json: storage/firebase changes require a node restart, ignoring them');
+  }
+  
+  if (changed.length === 0) {
+    logger.info('config.json changed, nothing to apply');
+    return;
+  }
+  
+  const checkIntervalChanged = next.proxyCheckInterval !== CONFIG.proxyCheckInterval;
+  const heartbeatChanged = next.heartbeatInterval !== CONFIG.heartbeatInterval;
+  const tokenChanged = next.accessToken !== CONFIG.accessToken;
+  for (const field of changed) CONFIG[field] = next[field];
+  applyGlobalProxy();
+  capacity.setLimits(capacityLimits());
+  if (checkIntervalChanged && proxyManager.checkTimer) {
+    proxyManager.startHealthChecks(CONFIG.proxyCheckInterval);
+  }
+  if (heartbeatChanged && heartbeatTimer) {
+    startHeartbeat();
+  }
+  // Rotated token: register with it right away instead of waiting for heartbeats to fail
+  if (tokenChanged && nodeId) {
+    reregisterNode();
+  }
+  
+  logger.info(`config.json reloaded: ${changed.join(', ')}`);
+}
+
+// Watch config.json and proxy.txt so edits apply without restarting bots
+function watchFiles() {
+  watchConfig(reloadConfig, (err) => {
+    logger.error(`config.json reload rejected, keeping last good config: ${err.message}`);
+  });
+  
+  proxyManager.on('reload', (count) => {
+    logger.info(`proxy.txt reloaded (${count} proxies), applies on each bot's next reconnect`);
+  });
+  proxyManager.watch();
+}
+
+// Xbox auth state for the dashboard
+async function updateBotAuth(botId, state, extra = {}) {
+  if (!storage) {
+    logger.error('Storage not initialized');
     return;
   }
   
   try {
-    // Check if logs were cleared
-    const clearedSnap = await get(ref(db, `bots/${botId}/logs_cleared_at`));
-    const clearedAt = clearedSnap?.val();
-    if (clearedAt) {
-      const createdAt = new Date().toISOString();
-      if (new Date(createdAt) <= new Date(clearedAt)) {
-        return;
-      }
-    }
+    await storage.setBotAuth(botId, {
+      state,
+      ...extra,
+      timestamp: Date.now(),
+    });
+  } catch (err) {
+    logger.error(`Failed to update bot auth: ${err.message}`);
+  }
+}
+
+async function setAuthPending(botId, { code, link, expires_at }) {
+  if (!storage) {
+    logger.error('Storage not initialized');
+    return;
+  }
+  
+  try {
+    await storage.setAuthPending(botId, {
+      code,
+      link,
+      expires_at,
+      timestamp: Date.now(),
+    });
+    logger.info(`Auth code saved for bot ${botId}`);
+  } catch (err) {
+    logger.error(`Failed to save auth code: ${err.message}`);
+  }
+}
 
-    const logsRef = ref(db, `bots/${botId}/logs`);
-    await push(logsRef, {
-      log_type: logType,
-      message,
-      created_at: new Date().toISOString(),
+// Remove the code as soon as it is used or useless, so it never goes stale
+async function clearAuthPending(botId) {
+  if (!storage) return;
+  
+  try {
+    await storage.setAuthPending(botId, null);
+  } catch (err) {
+    logger.error(`Failed to clear auth code: ${err.message}`);
+  }
+}
+
+// Publish the per-proxy health table after every probe round
+async function publishProxyHealth(rows) {
+  if (!storage || !nodeId) return;
+
+  try {
+    await storage.setProxyHealth(nodeId, {
+      updated_at: Date.now(),
+      alive: rows.filter(row => row.alive !== false).length,
+      total: rows.length,
+      list: rows,
     });
   } catch (err) {
-    logError(`Failed to add bot log: ${err.message}`);
+    logger.error(`Failed to publish proxy health: ${err.message}`);
+  }
+}
+
+function clearBotTimers(bot) {
+  clearTimeout(bot.stableTimer);
+  clearTimeout(bot.authTimer);
+  if (bot.antiAfk) bot.antiAfk.stop();
+}
+
+// Run a slash command as the bot
+function writeCommand(client, command) {
+  client.write('command_request', {
+    command,
+    origin: {
+      type: 'player',
+      uuid: '',
+      request_id: '',
+      player_entity_id: 0,
+    },
+    internal: false,
+    version: '52',
+  });
+}
+
+// Say something in chat as the bot
+function writeChat(client, username, message) {
+  client.write('text', {
+    needs_translation: false,
+    category: 'authored',
+    chat: 'chat',
+    whisper: 'whisper',
+    announcement: 'announcement',
+    type: 'chat',
+    source_name: username,
+    message,
+    xuid: '',
+    platform_chat_id: '',
+    has_filtered_message: false,
+  });
+}
+
+// close() drops every listener, but a connect still in flight (ping,
+// handshake) can fail afterwards with an 'error' that must not go unhandled
+function closeClient(client) {
+  client.close();
+  client.on('error', () => {});
+}
+
+// Close a bot's client and its proxy relay (if any)
+function closeBotConnection(bot) {
+  clearBotTimers(bot);
+  if (bot.form) bot.form.cancel('Bot stopped');
+  if (bot.client) closeClient(bot.client);
+  if (bot.relay) bot.relay.close();
+}
+
+// Heartbeat every CONFIG.heartbeatInterval, re-registers after repeated failures
+let heartbeatFailures = 0;
+
+async function sendHeartbeat() {
+  const outcome = await updateNodeStatus({ stats: getSystemStats() });
+  if (outcome === 'ok') {
+    heartbeatFailures = 0;
+    return;
+  }
+  
+  if (outcome === 'unknown') {
+    logger.warn('Dashboard does not know this node anymore, re-registering...');
+  } else {
+    heartbeatFailures++;
+    if (heartbeatFailures < CONFIG.heartbeatMaxFailures) return;
+    logger.warn(`${heartbeatFailures} heartbeats failed in a row, re-registering node...`);
+  }
+  
+  heartbeatFailures = 0;
+  if (!(await reregisterNode())) {
+    setConnectivity({ api: 'unreachable' });
   }
 }
 
-// Fixed 10s heartbeat
 function startHeartbeat() {
-  setInterval(async () => {
-    const stats = getSystemStats();
-    await updateNodeStatus({ stats });
-  }, 10000);
+  clearTimeout(heartbeatTimer);
+  
+  // Chained timeouts so a slow request never overlaps the next beat
+  const beat = async () => {
+    await sendHeartbeat();
+    if (!shuttingDown) heartbeatTimer = setTimeout(beat, CONFIG.heartbeatInterval);
+  };
+  heartbeatTimer = setTimeout(beat, CONFIG.heartbeatInterval);
   
-  logInfo('Heartbeat started (10s interval)');
+  logger.info(`Heartbeat started (${CONFIG.heartbeatInterval / 1000}s interval)`);
+}
+
+const NODE_VERSION = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+
+// Samples include the resolution itself, subtract it to get the lag
+const EVENT_LOOP_RESOLUTION = 20;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+eventLoopDelay.enable();
+
+function sampleCpuTimes() {
+  let idle = 0, total = 0;
+  for (const cpu of os.cpus()) {
+    for (const type in cpu.times) total += cpu.times[type];
+    idle += cpu.times.idle;
+  }
+  return { idle, total };
+}
+
+let lastCpuSample = sampleCpuTimes();
+let lastCpuUsage = 0; // Cached for admission control between heartbeats
+
+// CPU usage since the previous sample, not since boot
+function getCpuUsage() {
+  const sample = sampleCpuTimes();
+  const idle = sample.idle - lastCpuSample.idle;
+  const total = sample.total - lastCpuSample.total;
+  lastCpuSample = sample;
+  lastCpuUsage = total > 0 ? Math.round((1 - idle / total) * 100) : 0;
+  return lastCpuUsage;
 }
 
 // Get system stats
 function getSystemStats() {
-  const cpus = os.cpus();
   const totalMemory = os.totalmem();
   const freeMemory = os.freemem();
   
-  let totalIdle = 0, totalTick = 0;
-  cpus.forEach((cpu) => {
-    for (const type in cpu.times) totalTick += cpu.times[type];
-    totalIdle += cpu.times.idle;
-  });
+  const botsByStatus = {};
+  for (const status of botStatuses.values()) {
+    botsByStatus[status] = (botsByStatus[status] || 0) + 1;
+  }
   
-  const idle = totalIdle / cpus.length;
-  const total = totalTick / cpus.length;
-  const cpuUsage = 100 - Math.floor((idle / total) * 100);
+  const lagMs = Math.max(0, Math.round(eventLoopDelay.mean / 1e6 - EVENT_LOOP_RESOLUTION));
+  const lagMaxMs = Math.max(0, Math.round(eventLoopDelay.max / 1e6 - EVENT_LOOP_RESOLUTION));
+  eventLoopDelay.reset();
   
   return {
-    cpu_usage: cpuUsage,
+    cpu_usage: getCpuUsage(),
     ram_used: totalMemory - freeMemory,
     ram_total: totalMemory,
+    process_rss: process.memoryUsage().rss,
+    event_loop_lag_ms: lagMs,
+    event_loop_lag_max_ms: lagMaxMs,
+    uptime: Math.round(process.uptime()),
+    version: NODE_VERSION,
+    node_version: process.version,
     bot_count: botClients.size,
+    bots_by_status: botsByStatus,
+    storage: connectivity.storage,
+    capacity: capacity.getRemaining(getCapacityUsage()),
   };
 }
 
 // Register node
 async function registerNode() {
+  if (isOffline()) {
+    nodeId = CONFIG.localNodeId;
+    logger.info(`Offline mode, using node id ${nodeId}`);
+    setConnectivity({ api: 'disabled' });
+    return true;
+  }
+  
   if (!CONFIG.accessToken || CONFIG.accessToken === 'cn-your-token-here') {
-    logError('ACCESS_TOKEN is required! Get it from: https://cakranode.vercel.app/dashboard/nodes');
-    logError('Steps:');
-    logError('1. Login as admin');
-    logError('2. Go to Nodes page');
-    logError('3. Click "Create Node"');
-    logError('4. Copy the token and add to config.json: "accessToken": "cn-..."');
+    logger.error('ACCESS_TOKEN is required! Get it from: https://cakranode.vercel.app/dashboard/nodes');
+    logger.error('Steps:');
+    logger.error('1. Login as admin');
+    logger.error('2. Go to Nodes page');
+    logger.error('3. Click "Create Node"');
+    logger.error('4. Copy the token and add to config.json: "accessToken": "cn-..."');
     process.exit(1);
   }
   
@@ -236,20 +939,34 @@ async function registerNode() {
     const data = await response.json();
     if (data.success) {
       nodeId = data.node.id;
-      logInfo(`Node registered: ${data.node.name} (${nodeId})`);
+      logger.info(`Node registered: ${data.node.name} (${nodeId})`);
+      setConnectivity({ api: 'connected' });
       return true;
     }
-    logError(`Failed to register: ${data.error}`);
+    logger.error(`Failed to register: ${data.error}`);
     return false;
   } catch (err) {
-    logError(`Registration error: ${err.message}`);
+    logger.error(`Registration error: ${err.message}`);
     return false;
   }
 }
 
+// The dashboard forgot this node (e.g. after an outage), register again
+async function reregisterNode() {
+  const previousId = nodeId;
+  if (!(await registerNode())) return false;
+  
+  if (nodeId !== previousId) {
+    logger.warn(`Node id changed (${previousId} -> ${nodeId}), re-attaching command listener`);
+    reattachListeners();
+  }
+  await updateNodeStatus({ stats: getSystemStats() });
+  return true;
+}
+
 // Process command
 async function processCommand(command) {
-  logInfo(`Processing: ${command.action} for bot ${command.bot_id || 'N/A'}`);
+  logger.info(`Processing: ${command.action} for bot ${command.bot_id || 'N/A'}`);
   
   try {
     let result = {};
@@ -257,16 +974,8 @@ async function processCommand(command) {
     switch (command.action) {
       case 'create':
       case 'start':
+        // auth_pending is written by startBot as soon as a code is issued
         result = await startBot(command);
-        // If auth is required, save to Firebase for frontend to read
-        if (result.auth) {
-          await set(ref(db, `bots/${command.bot_id}/auth_pending`), {
-            code: result.auth.code,
-            link: result.auth.link,
-            timestamp: Date.now(),
-          });
-          logInfo(`Auth code saved to Firebase for bot ${command.bot_id}`);
-        }
         break;
       case 'stop':
         result = await stopBot(command);
@@ -275,14 +984,6 @@ async function processCommand(command) {
         await stopBot(command);
         await new Promise(r => setTimeout(r, 2000));
         result = await startBot(command);
-        // Save auth if needed
-        if (result.auth) {
-          await set(ref(db, `bots/${command.bot_id}/auth_pending`), {
-            code: result.auth.code,
-            link: result.auth.link,
-            timestamp: Date.now(),
-          });
-        }
         break;
       case 'delete':
         result = await deleteBot(command);
@@ -290,130 +991,443 @@ async function processCommand(command) {
       case 'exec':
         result = await execCommand(command);
         break;
+      case 'shop_buy':
+        result = await shopBuy(command);
+        break;
+      case 'form_run':
+        result = await formRun(command);
+        break;
+      case 'schedule_add':
+        result = scheduleAdd(command);
+        break;
+      case 'schedule_list':
+        result = scheduleList(command);
+        break;
+      case 'schedule_pause':
+        result = schedulePause(command, true);
+        break;
+      case 'schedule_resume':
+        result = schedulePause(command, false);
+        break;
+      case 'schedule_delete':
+        result = scheduleDelete(command);
+        break;
+      case 'triggers_set':
+        result = setTriggers(command);
+        break;
+      case 'start_many':
+        result = await startMany(command);
+        break;
+      case 'stop_all':
+        result = await stopAll(command);
+        break;
+      case 'exec_many':
+        result = await execMany(command);
+        break;
+      case 'export_logs':
+        result = await exportLogs(command);
+        break;
+      case 'auth_status':
+        result = authStatus(command);
+        break;
+      case 'auth_logout':
+        result = await authLogout(command);
+        break;
+      case 'auth_refresh':
+        result = await authRefresh(command);
+        break;
       default:
         result = { error: `Unknown action: ${command.action}` };
     }
     
-    logInfo(`Command completed: ${JSON.stringify(result)}`);
+    logger.info(`Command completed: ${JSON.stringify(result)}`);
+    return result;
+  } catch (err) {
+    logger.error(`Command error: ${err.message}`);
+    return { error: err.message };
+  }
+}
+
+// Bulk actions: one command for many bots, staggered, with a result per bot
+
+function bulkOptions(payload, defaultStagger) {
+  return {
+    stagger: Math.max(0, Number(payload.stagger ?? defaultStagger) || 0),
+    concurrency: Math.max(1, parseInt(payload.concurrency) || CONFIG.bulkConcurrency),
+  };
+}
+
+// Each per-bot command still goes through that bot's queue, in order with its other commands
+async function runBulk(label, targets, options, buildCommand) {
+  logger.info(`${label}: ${targets.length} bot(s), stagger ${options.stagger}ms, concurrency ${options.concurrency}`);
+  
+  const outcomes = await runStaggered(targets, options, ({ bot_id, payload }) => (
+    commandQueue.enqueue(bot_id, () => processCommand(buildCommand(bot_id, payload)))
+  ));
+  const results = targets.map(({ bot_id }, index) => {
+    const outcome = outcomes[index] || {};
+    return outcome.error
+      ? { bot_id, success: false, error: outcome.error }
+      : { bot_id, success: true, result: outcome };
+  });
+  const failed = results.filter(result => !result.success).length;
+  
+  return {
+    message: `${label} finished: ${results.length - failed} ok, ${failed} failed`,
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results,
+  };
+}
+
+// Start known bots (bots.json) or ones given inline as payload.bots [{ bot_id, payload }]
+async function startMany(command) {
+  const payload = command.payload || {};
+  const inline = (Array.isArray(payload.bots) ? payload.bots : []).filter(bot => bot?.bot_id && bot.payload);
+  const known = new Map(botState.getAll().map(bot => [bot.bot_id, { bot_id: bot.bot_id, payload: bot.payload }]));
+  for (const bot of inline) known.set(bot.bot_id, { bot_id: bot.bot_id, payload: bot.payload });
+  
+  // Inline bots are the targets unless bot_ids says otherwise
+  const botIds = payload.bot_ids || (inline.length > 0 ? inline.map(bot => bot.bot_id) : undefined);
+  if (!botIds && !payload.tag && !payload.selector) {
+    return { error: 'start_many needs bot_ids, bots, tag or selector' };
+  }
+  
+  const selected = selectBots([...known.values()], { bot_ids: botIds, tag: payload.tag, selector: payload.selector });
+  
+  // Starting a bot that is already up would restart it, so leave those alone
+  const isActive = ({ bot_id }) => botClients.has(bot_id) || lifecycle.getState(bot_id) !== 'stopped';
+  const targets = selected.filter(bot => !isActive(bot));
+  const skipped = selected.filter(isActive);
+  
+  const summary = await runBulk('start_many', targets, bulkOptions(payload, CONFIG.bulkStagger), (bot_id, botPayload) => (
+    { action: 'start', bot_id, payload: botPayload }
+  ));
+  
+  summary.skipped = skipped.length;
+  if (skipped.length > 0) {
+    summary.results.push(...skipped.map(({ bot_id }) => ({ bot_id, success: true, skipped: true, state: lifecycle.getState(bot_id) })));
+    summary.total += skipped.length;
+    summary.message += `, ${skipped.length} skipped (already running)`;
+  }
+  
+  // Ids nobody has a payload for cannot be started
+  const unknown = (botIds || []).filter(botId => !known.has(botId));
+  if (unknown.length > 0) {
+    summary.results.push(...unknown.map(bot_id => ({ bot_id, success: false, error: 'Unknown bot, no payload to start it with' })));
+    summary.total += unknown.length;
+    summary.failed += unknown.length;
+  }
+  return summary;
+}
+
+// Stop every running (or reconnecting) bot, optionally narrowed by bot_ids/tag/selector
+async function stopAll(command) {
+  const payload = command.payload || {};
+  const active = botState.getAll()
+    .filter(bot => bot.running || botClients.has(bot.bot_id))
+    .map(bot => ({ bot_id: bot.bot_id, payload: bot.payload }));
+  
+  const targets = selectBots(active, payload);
+  return runBulk('stop_all', targets, bulkOptions(payload, 0), (bot_id) => ({ action: 'stop', bot_id }));
+}
+
+// Broadcast one chat command to every connected bot that matches
+async function execMany(command) {
+  const payload = command.payload || {};
+  if (!payload.command) {
+    return { error: 'Missing command in payload' };
+  }
+  
+  const connected = [...botClients.entries()]
+    .filter(([, bot]) => bot.connected)
+    .map(([bot_id, bot]) => ({ bot_id, payload: bot.payload }));
+  
+  const targets = selectBots(connected, payload);
+  return runBulk('exec_many', targets, bulkOptions(payload, 0), (bot_id) => (
+    { action: 'exec', bot_id, payload: { command: payload.command } }
+  ));
+}
+
+// Load as seen by admission control, excluding the bot being started.
+// Bots waiting out a reconnect delay still hold their slot.
+function getCapacityUsage(excludeBotId = null) {
+  const bots = new Set([...botClients.keys(), ...lifecycle.botsInState('reconnecting')]);
+  bots.delete(excludeBotId);
+  
+  const totalMemory = os.totalmem();
+  return {
+    bots: bots.size,
+    memoryPercent: ((totalMemory - os.freemem()) / totalMemory) * 100,
+    cpuPercent: lastCpuUsage,
+  };
+}
+
+/**
+ * Admit a start under the capacity limits. Over a limit the start is rejected
+ * straight away, or with capacity.onFull = "queue" retried until queueTimeout.
+ * Resolves to { release } holding a connect slot, or { error }.
+ */
+async function admitBot(botId, isReconnect, log, generation) {
+  const deadline = Date.now() + CONFIG.capacityQueueTimeout;
+  let reason = capacity.check(getCapacityUsage(botId), !isReconnect);
+  
+  if (reason && CONFIG.capacityOnFull === 'queue') {
+    log.warn(`Queued for capacity: ${reason}`);
+    await updateBotStatus(botId, 'queued', `Waiting for capacity: ${reason}`, { reason: 'capacity' });
+    while (reason && Date.now() < deadline && !shuttingDown && lifecycle.isCurrent(botId, generation)) {
+      await new Promise(r => setTimeout(r, 2000));
+      reason = capacity.check(getCapacityUsage(botId), !isReconnect);
+    }
+  }
+  if (reason) return { error: reason };
+  
+  try {
+    const release = await capacity.acquireConnect(Math.max(1000, deadline - Date.now()));
+    return { release };
   } catch (err) {
-    logError(`Command error: ${err.message}`);
+    return { error: err.message };
   }
 }
 
 // Auto reconnect function
-async function reconnectBot(bot_id, payload, retryCount = 0) {
+async function reconnectBot(bot_id, payload, retryCount = 0, reason = null, generation = lifecycle.getGeneration(bot_id)) {
+  const log = logger.child({ bot_id, username: payload.username });
+  
+  // Stopped, restarted or deleted since this connection began
+  if (!lifecycle.isCurrent(bot_id, generation)) {
+    log.info('Not reconnecting, bot was stopped or restarted');
+    return;
+  }
+  
   // Check if auto_reconnect is enabled
   if (payload.auto_reconnect === false) {
-    logInfo(`[${payload.username}] Auto-reconnect disabled, not reconnecting`);
+    log.info('Auto-reconnect disabled, not reconnecting');
+    lifecycle.transition(bot_id, generation, 'stopped');
+    botState.markStopped(bot_id);
     await updateBotStatus(bot_id, 'stopped');
     return;
   }
   
   const existingBot = botClients.get(bot_id);
   if (existingBot && existingBot.reconnecting) {
-    logInfo(`[${payload.username}] Already reconnecting, skipping duplicate`);
+    log.info('Already reconnecting, skipping duplicate');
     return;
   }
   
-  const delay = 5000;
+  const policy = resolvePolicy(payload);
+  const rule = matchKickRule(policy, reason);
+  
+  // Kick rules can rule out a retry entirely (e.g. banned)
+  if (rule && rule.action === 'stop') {
+    log.warn(`Not reconnecting, matched kick rule "${rule.match}": ${reason}`);
+    lifecycle.transition(bot_id, generation, 'stopped');
+    botState.markStopped(bot_id);
+    await updateBotStatus(bot_id, 'stopped', `Not reconnecting: ${reason}`);
+    await addBotLog(bot_id, 'error', `⛔ Not reconnecting: ${reason}`);
+    return;
+  }
+  
+  if (policy.max_attempts > 0 && retryCount >= policy.max_attempts) {
+    log.warn(`Giving up after ${retryCount} reconnect attempts`);
+    lifecycle.transition(bot_id, generation, 'stopped');
+    botState.markStopped(bot_id);
+    await updateBotStatus(bot_id, 'stopped', `Gave up after ${retryCount} reconnect attempts`);
+    await addBotLog(bot_id, 'error', `⛔ Gave up after ${retryCount} reconnect attempts`);
+    return;
+  }
+  
+  const delay = rule && rule.action === 'delay' && rule.delay
+    ? Number(rule.delay)
+    : getDelay(policy, retryCount);
+  const attempt = retryCount + 1;
   
   // Set status to reconnecting
-  await updateBotStatus(bot_id, 'reconnecting');
+  lifecycle.transition(bot_id, generation, 'reconnecting');
+  await updateBotStatus(bot_id, 'reconnecting', reason, {
+    attempt,
+    max_attempts: policy.max_attempts || null,
+    next_retry_at: Date.now() + delay,
+  });
   
-  logInfo(`[${payload.username}] Reconnecting in ${delay/1000}s... (attempt ${retryCount + 1})`);
-  await addBotLog(bot_id, 'info', `🔄 Reconnecting in ${delay/1000}s... (attempt ${retryCount + 1})`);
+  const attemptLabel = policy.max_attempts > 0 ? `${attempt}/${policy.max_attempts}` : `${attempt}`;
+  log.info(`Reconnecting in ${Math.round(delay/1000)}s... (attempt ${attemptLabel})`);
+  await addBotLog(bot_id, 'info', `🔄 Reconnecting in ${Math.round(delay/1000)}s... (attempt ${attemptLabel})`);
+  
+  // Cancelled with its generation when the bot is stopped, restarted or deleted
+  lifecycle.setTimer(bot_id, generation, () => {
+    log.info(`Attempting reconnect #${retryCount + 1}...`);
+    startBot({ bot_id, payload, retryCount: retryCount + 1, generation }).catch(err => {
+      log.error(`Reconnect failed: ${err.message}`);
+    });
+  }, delay);
+}
+
+// Start bot
+/**
+ * Start a bot. A user start begins a new lifecycle generation; reconnect
+ * attempts pass the generation that scheduled them and are dropped once it
+ * is stale. Starts arriving while one is still connecting join it.
+ */
+async function startBot(command) {
+  const { bot_id, payload } = command;
+  
+  if (shuttingDown) {
+    return { error: 'Node is shutting down' };
+  }
+  
+  // Handle both old and new command formats
+  if (!payload || !payload.username) {
+    logger.warn('Command missing payload, skipping (old command format)');
+    return { error: 'Invalid command format - missing payload' };
+  }
+  
+  const isReconnect = command.generation !== undefined;
+  let generation;
+  if (isReconnect) {
+    if (!lifecycle.isCurrent(bot_id, command.generation)) {
+      return { error: 'Reconnect cancelled' };
+    }
+    generation = command.generation;
+    lifecycle.transition(bot_id, generation, 'starting');
+  } else {
+    const starting = lifecycle.getStarting(bot_id);
+    if (starting) return starting;
+    if (lifecycle.getState(bot_id) === 'connecting') {
+      logger.info(`Bot ${bot_id} is already connecting, ignoring duplicate start`);
+      return { message: 'Bot is already starting', username: payload.username };
+    }
+    generation = lifecycle.begin(bot_id);
+  }
   
-  setTimeout(() => {
-    logInfo(`[${payload.username}] Attempting reconnect #${retryCount + 1}...`);
-    startBot({ bot_id, payload, retryCount: retryCount + 1 }).catch(err => {
-      logError(`[${payload.username}] Reconnect failed: ${err.message}`);
-    });
-  }, delay);
+  const run = connectBot(command, generation);
+  lifecycle.trackStart(bot_id, generation, run);
+  return run;
 }
 
-// Start bot
-async function startBot(command) {
+async function connectBot(command, generation) {
   const { bot_id, payload, retryCount = 0 } = command;
+  const { username, server_ip, server_port, offline_mode, auto_reconnect } = payload;
+  const log = logger.child({ bot_id, username });
   
-  // Handle both old and new command formats
-  if (!payload || !payload.username) {
-    logWarn('Command missing payload, skipping (old command format)');
-    return { error: 'Invalid command format - missing payload' };
+  // Every await below may see a stop/restart/delete that ends this generation
+  const isStale = () => !lifecycle.isCurrent(bot_id, generation);
+  
+  // Capacity limits; the connect slot is held until spawn or failure
+  const admission = await admitBot(bot_id, retryCount > 0, log, generation);
+  if (shuttingDown || isStale()) {
+    if (admission.release) admission.release();
+    return { error: shuttingDown ? 'Node is shutting down' : 'Start cancelled' };
   }
+  if (admission.error) {
+    log.warn(`Rejected: capacity - ${admission.error}`);
+    lifecycle.transition(bot_id, generation, 'stopped');
+    botState.markStopped(bot_id);
+    await updateBotStatus(bot_id, 'rejected', `capacity: ${admission.error}`, { reason: 'capacity' });
+    await addBotLog(bot_id, 'error', `⛔ Rejected: capacity (${admission.error})`);
+    return { error: `Rejected: capacity (${admission.error})` };
+  }
+  const releaseConnect = admission.release;
   
-  const { username, server_ip, server_port, offline_mode, auto_reconnect } = payload;
+  // Remember that this bot should be running, survives node restarts
+  botState.markRunning(bot_id, payload, retryCount);
   
   // Force stop existing bot if already running (user control is absolute)
   if (botClients.has(bot_id)) {
-    logWarn(`[${username}] Bot already running, force stopping first...`);
+    log.warn('Bot already running, force stopping first...');
     const existingBot = botClients.get(bot_id);
     existingBot.manuallyStopped = true;
-    if (existingBot.client) existingBot.client.close();
+    closeBotConnection(existingBot);
     botClients.delete(bot_id);
     await new Promise(r => setTimeout(r, 1000)); // Wait 1s before restarting
+    if (isStale()) {
+      releaseConnect();
+      return { error: 'Start cancelled' };
+    }
   }
   
-  logInfo(`Starting: ${username} -> ${server_ip}:${server_port} (${offline_mode ? 'offline' : 'online'} mode, auto_reconnect: ${auto_reconnect !== false})`);
+  logger.info(`Starting: ${username} -> ${server_ip}:${server_port} (${offline_mode ? 'offline' : 'online'} mode, auto_reconnect: ${auto_reconnect !== false})`);
   
   // Update status to starting
   await updateBotStatus(bot_id, 'starting');
   await addBotLog(bot_id, 'info', `🚀 Starting bot...`);
   
-  // Setup Xbox auth detection for online mode
+  // Resolve proxy and open the UDP relay before anything else is set up
+  const proxyStrategy = payload.proxy_strategy || defaultProxyStrategy();
+  let proxy = null;
+  let relay = null;
+  try {
+    proxy = proxyManager.select(proxyStrategy, payload.proxy, bot_id);
+    if (proxy) {
+      relay = await createProxyRelay(proxy, { host: server_ip, port: server_port || 19132 });
+    }
+  } catch (err) {
+    const label = proxy ? proxyManager.format(proxy) : proxyStrategy;
+    log.error(`Proxy ${label} failed: ${err.message}`);
+    if (proxy) proxyManager.markFailed(proxy, err.message);
+    releaseConnect();
+    await updateBotStatus(bot_id, 'error', `Proxy failed: ${err.message}`);
+    await addBotLog(bot_id, 'error', `❌ Proxy ${label} failed: ${err.message}`);
+    // Another proxy may work, or a dead one recover, by the next attempt.
+    // Anything else is a config problem that retrying won't fix.
+    if (proxy || err.unavailable) {
+      reconnectBot(bot_id, payload, retryCount, err.message, generation);
+    } else {
+      lifecycle.transition(bot_id, generation, 'stopped');
+      botState.markStopped(bot_id);
+    }
+    return { error: `Proxy failed: ${err.message}` };
+  }
+  await updateBotProxy(bot_id, proxy, proxyStrategy);
+  
+  // Only this generation's entry in botClients belongs to this client
+  const getBot = () => {
+    const bot = botClients.get(bot_id);
+    return bot && bot.generation === generation ? bot : null;
+  };
+  const dropBot = () => {
+    if (getBot()) botClients.delete(bot_id);
+  };
+  
+  // Xbox device-code auth for online mode. bedrock-protocol hands the code to
+  // this client's onMsaCode callback, so concurrent bots never mix up codes.
   let authResolve = null;
-  let authResolved = false;
   
   const waitForAuth = new Promise((resolve) => {
     authResolve = resolve;
   });
   
-  // Intercept stdout to catch login code
-  if (!offline_mode) {
-    logInfo(`[${username}] Setting up Xbox auth detection...`);
+  const onMsaCode = (data) => {
+    const code = data.user_code;
+    const link = data.verification_uri || 'https://www.microsoft.com/link';
+    const expiresAt = Date.now() + (data.expires_in || 900) * 1000;
     
-    const originalStdoutWrite = process.stdout.write.bind(process.stdout);
-    const loginCodeRegex = /code ([A-Z0-9]{8})/;
+    log.info(`Auth code issued: ${code}`);
+    updateBotStatus(bot_id, 'authenticating');
+    addBotLog(bot_id, 'info', `🔐 Xbox Login Required: ${link} - Code: ${code}`);
+    setAuthPending(bot_id, { code, link, expires_at: expiresAt });
+    updateBotAuth(bot_id, 'pending', { expires_at: expiresAt });
     
-    process.stdout.write = function(chunk, encoding, callback) {
-      const message = chunk.toString();
-      
-      // Check for login code
-      if (!authResolved && loginCodeRegex.test(message)) {
-        const codeMatch = message.match(loginCodeRegex);
-        if (codeMatch) {
-          const code = codeMatch[1];
-          
-          // Use original stdout to avoid loop
-          originalStdoutWrite(`[${username}] ✓ Login code DETECTED: ${code}\n`);
-          
-          // Update bot status to authenticating
-          updateBotStatus(bot_id, 'authenticating').catch(() => {});
-          
-          // Send to Firebase logs
-          addBotLog(bot_id, 'info', `🔐 Xbox Login Required: https://www.microsoft.com/link - Code: ${code}`).catch(() => {});
-          
-          logInfo(`[${username}] Auth code detected: ${code}`);
-          
-          // Resolve with login info
-          authResolved = true;
-          authResolve({ needsAuth: true, code, link: 'https://www.microsoft.com/link' });
-        }
-      }
-      
-      return originalStdoutWrite(chunk, encoding, callback);
-    };
+    const bot = getBot();
+    if (bot) {
+      bot.authState = 'pending';
+      clearTimeout(bot.authTimer);
+      bot.authTimer = setTimeout(() => {
+        if (bot.authState !== 'pending') return;
+        bot.authState = 'expired';
+        log.warn(`Auth code ${code} expired`);
+        addBotLog(bot_id, 'error', '⌛ Xbox login code expired');
+        updateBotAuth(bot_id, 'expired');
+        clearAuthPending(bot_id);
+      }, expiresAt - Date.now());
+    }
     
-    // Restore stdout after 40 seconds
-    setTimeout(() => {
-      process.stdout.write = originalStdoutWrite;
-      if (!authResolved) {
-        logInfo(`[${username}] No auth code detected after 40s, proceeding normally`);
-        authResolved = true;
-        authResolve({ needsAuth: false });
-      }
-    }, 40000);
-  } else {
-    logInfo(`[${username}] Offline mode - skipping Xbox auth`);
+    authResolve({ needsAuth: true, code, link });
+  };
+  
+  if (offline_mode) {
+    log.info('Offline mode - skipping Xbox auth');
   }
   
   const clientOptions = {
@@ -422,21 +1436,58 @@ async function startBot(command) {
     username,
     offline: offline_mode !== false,
     version: '1.21.130',
+    profilesFolder: getProfilesFolder(bot_id),
+    onMsaCode,
   };
   
-  logInfo(`[${username}] Connecting directly to ${server_ip}:${server_port}`);
+  if (relay) {
+    clientOptions.host = relay.host;
+    clientOptions.port = relay.port;
+    clientOptions.followPort = false; // Advertised port would bypass the relay
+    log.info(`Connecting via ${proxyManager.format(proxy)} to ${server_ip}:${server_port}`);
+    await addBotLog(bot_id, 'info', `🌐 Connecting via proxy ${proxy.host}:${proxy.port}`);
+  } else {
+    log.info(`Connecting directly to ${server_ip}:${server_port}`);
+  }
+  
+  if (isStale()) {
+    if (relay) relay.close();
+    releaseConnect();
+    return { error: 'Start cancelled' };
+  }
   
   let client;
   try {
     client = bedrock.createClient(clientOptions);
   } catch (err) {
-    logError(`[${username}] Failed to create client: ${err.message}`);
+    if (relay) relay.close();
+    releaseConnect();
+    log.error(`Failed to create client: ${err.message}`);
+    lifecycle.transition(bot_id, generation, 'stopped');
     await updateBotStatus(bot_id, 'error', `Failed to create client: ${err.message}`);
     return { error: err.message };
   }
   
+  // Chat triggers from payload.triggers; bad rules are skipped, not fatal
+  const triggers = new TriggerEngine({
+    username,
+    log,
+    perform: (action, vars, rule) => runTriggerAction(bot_id, client, username, action, vars, rule),
+  });
+  for (const problem of triggers.setRules(payload.triggers)) {
+    log.warn(`Skipping trigger: ${problem}`);
+    addBotLog(bot_id, 'warn', `⚠️ Skipping trigger: ${problem}`);
+  }
+  
+  // Optional idle activity from payload.anti_afk, paused during form/shop flows
+  const antiAfkOptions = resolveAntiAfk(payload.anti_afk);
+  const antiAfk = antiAfkOptions
+    ? new AntiAfk(client, antiAfkOptions, { log, isBusy: () => Boolean(getBot()?.form) })
+    : null;
+  
   botClients.set(bot_id, {
     client,
+    generation,   // Lifecycle generation this client belongs to
     username,
     connected: false,
     server_ip,
@@ -446,30 +1497,95 @@ async function startBot(command) {
     authResolve,  // Store for later use
     retryCount,   // Track reconnect attempts
     payload,      // Store original payload for reconnect
+    proxy,        // Proxy in use (null = direct)
+    relay,        // Local SOCKS5 UDP relay (null = direct)
+    kickReason: null,     // Last kick/disconnect reason, drives kick rules
+    authState: null,      // Xbox auth: authenticating, pending, authenticated, refreshed, expired, failed
+    authTimer: null,      // Expires a pending device code
+    stableTimer: null,    // Resets retryCount after a stable connection
+    form: null,           // FormSession/ShopSession while a form_run or shop_buy is running
+    triggers,             // TriggerEngine fed by the 'text' handler
+    antiAfk,              // AntiAfk started on spawn (null = off)
     reconnecting: false,  // Flag to prevent duplicate reconnects
     manuallyStopped: false,  // Flag to prevent reconnects when user stops
   });
   
+  lifecycle.transition(bot_id, generation, 'connecting');
+  
   // Connection timeout (60 seconds for online mode to allow auth time)
   const timeoutDuration = offline_mode ? 30000 : 60000;
-  const connectionTimeout = setTimeout(() => {
-    const bot = botClients.get(bot_id);
+  const connectionTimeout = lifecycle.setTimer(bot_id, generation, () => {
+    const bot = getBot();
     if (bot && !bot.connected && !bot.manuallyStopped) {
-      logError(`[${username}] Connection timeout (${timeoutDuration/1000}s)`);
-      if (client) client.close();  // Will trigger 'close' event which handles reconnect
+      log.error(`Connection timeout (${timeoutDuration/1000}s)`);
+      if (client) closeClient(client);  // Will trigger 'close' event which handles reconnect
     }
   }, timeoutDuration);
+  const clearConnectionTimeout = () => lifecycle.clearTimer(bot_id, connectionTimeout);
+  
+  // Losing the proxy association is a connection error
+  const onRelayClose = () => {
+    const bot = getBot();
+    if (bot && bot.client === client && !bot.manuallyStopped) {
+      proxyManager.markFailed(proxy, 'Proxy connection closed');
+      client.emit('error', new Error('Proxy connection closed'));
+    }
+  };
+  const releaseRelay = () => {
+    if (!relay) return;
+    relay.off('close', onRelayClose);
+    relay.close();
+  };
+  if (relay) relay.on('close', onRelayClose);
+  
+  // Track Xbox auth progress: authenticate() runs right after connect_allowed
+  // and emits 'session' once tokens (cached or freshly linked) are ready
+  if (!offline_mode) {
+    client.once('connect_allowed', () => {
+      const bot = getBot();
+      if (bot && !bot.authState) bot.authState = 'authenticating';
+    });
+    
+    client.once('session', () => {
+      const bot = getBot();
+      if (!bot) return;
+      
+      const wasPending = bot.authState === 'pending';
+      clearTimeout(bot.authTimer);
+      bot.authState = wasPending ? 'authenticated' : 'refreshed';
+      log.info(`Xbox auth ${bot.authState}`);
+      updateBotAuth(bot_id, bot.authState);
+      try {
+        recordLogin(bot_id, username);
+      } catch (err) {
+        log.warn(`Failed to record login: ${err.message}`);
+      }
+      clearAuthPending(bot_id);
+      if (wasPending) addBotLog(bot_id, 'info', '✅ Xbox authentication complete');
+      authResolve({ needsAuth: false });
+    });
+  }
   
   // Handle connection errors
   client.on('error', async (err) => {
-    clearTimeout(connectionTimeout);
-    logError(`[${username}] Connection error: ${err.message}`);
+    clearConnectionTimeout();
+    releaseConnect();
+    releaseRelay();
+    log.error(`Connection error: ${err.message}`);
     
-    const bot = botClients.get(bot_id);
+    const bot = getBot();
+    if (bot) clearBotTimers(bot);
+    
+    // Errors before 'session' while authenticating are auth failures
+    if (bot && ['authenticating', 'pending'].includes(bot.authState)) {
+      bot.authState = /timed out/i.test(err.message) ? 'expired' : 'failed';
+      updateBotAuth(bot_id, bot.authState, { error: err.message });
+      clearAuthPending(bot_id);
+    }
     
     // Don't reconnect if manually stopped
     if (bot && bot.manuallyStopped) {
-      botClients.delete(bot_id);
+      dropBot();
       return;
     }
     
@@ -480,70 +1596,91 @@ async function startBot(command) {
       updateBotStatus(bot_id, 'error', err.message);
       
       const shouldReconnect = bot.auto_reconnect !== false;
-      logInfo(`[${username}] Connection error, auto_reconnect: ${shouldReconnect}`);
+      log.info(`Connection error, auto_reconnect: ${shouldReconnect}`);
       
-      botClients.delete(bot_id);
+      dropBot();
       
       if (shouldReconnect) {
-        reconnectBot(bot_id, bot.payload, bot.retryCount);
+        reconnectBot(bot_id, bot.payload, bot.retryCount, err.message, generation);
       } else {
-        logInfo(`[${username}] Auto-reconnect disabled, stopping bot`);
+        log.info('Auto-reconnect disabled, stopping bot');
+        lifecycle.transition(bot_id, generation, 'stopped');
+        botState.markStopped(bot_id);
         await updateBotStatus(bot_id, 'stopped');
       }
     }
   });
   
   client.on('spawn', () => {
-    clearTimeout(connectionTimeout);
-    logInfo(`[${username}] Spawned!`);
-    const bot = botClients.get(bot_id);
-    if (bot) bot.connected = true;
+    clearConnectionTimeout();
+    releaseConnect();
+    log.info('Spawned!');
+    const bot = getBot();
+    if (bot) {
+      lifecycle.transition(bot_id, generation, 'running');
+      bot.connected = true;
+      const { stable_after } = resolvePolicy(payload);
+      bot.stableTimer = setTimeout(() => {
+        if (bot.retryCount > 0) log.info('Connection stable, resetting reconnect attempts');
+        bot.retryCount = 0;
+        botState.update(bot_id, { retryCount: 0 });
+      }, stable_after);
+      if (bot.antiAfk) bot.antiAfk.start();
+    }
     updateBotStatus(bot_id, 'running');
     addBotLog(bot_id, 'info', '✅ Bot connected and running');
   });
   
   client.on('disconnect', (packet) => {
-    clearTimeout(connectionTimeout);
+    clearConnectionTimeout();
     const reason = packet?.message || 'Unknown';
-    logWarn(`[${username}] Disconnected: ${reason}`);
+    log.warn(`Disconnected: ${reason}`);
+    const bot = getBot();
+    if (bot) bot.kickReason = reason;
     // Don't reconnect here - close event will handle it
   });
   
   client.on('text', (packet) => {
     if (packet?.message) {
       const msg = packet.message.replace(/§[0-9a-zA-Z]/gi, '');
-      logServer(`[${username}] ${msg}`);
+      log.server(msg);
       addBotLog(bot_id, 'server', msg);
+      getBot()?.triggers.handle(packet);
     }
   });
   
   client.on('kick', (packet) => {
-    clearTimeout(connectionTimeout);
+    clearConnectionTimeout();
     const reason = packet?.message || 'Kicked from server';
-    logError(`[${username}] Kicked: ${reason}`);
+    log.error(`Kicked: ${reason}`);
+    const bot = getBot();
+    if (bot) bot.kickReason = reason;
     // Don't reconnect here - close event will handle it
   });
   
   client.on('close', () => {
-    clearTimeout(connectionTimeout);
-    const bot = botClients.get(bot_id);
+    clearConnectionTimeout();
+    releaseConnect();
+    releaseRelay();
+    const bot = getBot();
     
     // Skip if already deleted (handled by error event)
     if (!bot) {
-      logInfo(`[${username}] Connection closed (already handled)`);
+      log.info('Connection closed (already handled)');
       return;
     }
+    clearBotTimers(bot);
     
     // Don't reconnect if manually stopped
     if (bot.manuallyStopped) {
-      logWarn(`[${username}] Connection closed (manual stop)`);
-      botClients.delete(bot_id);
+      log.warn('Connection closed (manual stop)');
+      dropBot();
       return;
     }
     
     // Don't reconnect if already reconnecting
     if (bot.reconnecting) {
-      logWarn(`[${username}] Connection closed (already reconnecting)`);
+      log.warn('Connection closed (already reconnecting)');
       return;
     }
     
@@ -551,19 +1688,23 @@ async function startBot(command) {
     const shouldReconnect = bot.auto_reconnect !== false;
     
     if (bot.connected === false) {
-      logError(`[${username}] Connection closed before spawn, auto_reconnect: ${shouldReconnect}`);
-      botClients.delete(bot_id);
+      log.error(`Connection closed before spawn, auto_reconnect: ${shouldReconnect}`);
+      dropBot();
       if (shouldReconnect) {
-        reconnectBot(bot_id, bot.payload, bot.retryCount);
+        reconnectBot(bot_id, bot.payload, bot.retryCount, bot.kickReason, generation);
       } else {
+        lifecycle.transition(bot_id, generation, 'stopped');
+        botState.markStopped(bot_id);
         updateBotStatus(bot_id, 'stopped');
       }
     } else {
-      logWarn(`[${username}] Connection closed normally, auto_reconnect: ${shouldReconnect}`);
-      botClients.delete(bot_id);
+      log.warn(`Connection closed normally, auto_reconnect: ${shouldReconnect}`);
+      dropBot();
       if (shouldReconnect) {
-        reconnectBot(bot_id, bot.payload, bot.retryCount);
+        reconnectBot(bot_id, bot.payload, bot.retryCount, bot.kickReason, generation);
       } else {
+        lifecycle.transition(bot_id, generation, 'stopped');
+        botState.markStopped(bot_id);
         updateBotStatus(bot_id, 'stopped');
       }
     }
@@ -571,16 +1712,24 @@ async function startBot(command) {
   
   // For online mode, wait briefly for auth detection before returning
   if (!offline_mode) {
-    logInfo(`[${username}] Waiting up to 15s for auth detection...`);
+    log.info('Waiting up to 15s for auth detection...');
     
-    // Wait up to 15 seconds for auth detection
+    // Wait up to 15 seconds for auth detection, a stop/restart ends the wait
+    const cancelAuthWait = lifecycle.onCancel(bot_id, generation, () => authResolve({ cancelled: true }));
+    let authTimer;
     const authResult = await Promise.race([
       waitForAuth,
-      new Promise(resolve => setTimeout(() => resolve({ needsAuth: false }), 15000))
+      new Promise(resolve => { authTimer = setTimeout(() => resolve({ needsAuth: false }), 15000); })
     ]);
+    clearTimeout(authTimer);
+    cancelAuthWait();
     
+    if (authResult.cancelled) {
+      log.info('Start cancelled while waiting for auth');
+      return { error: 'Start cancelled' };
+    }
     if (authResult.needsAuth) {
-      logInfo(`[${username}] Auth required! Returning code to frontend...`);
+      log.info('Auth required! Returning code to frontend...');
       await addBotLog(bot_id, 'info', `⏳ Waiting for Xbox authentication...`);
       
       return {
@@ -589,7 +1738,7 @@ async function startBot(command) {
         auth: { code: authResult.code, link: authResult.link }
       };
     } else {
-      logInfo(`[${username}] No auth detected in 15s, proceeding without auth...`);
+      log.info('No auth detected in 15s, proceeding without auth...');
     }
   }
   
@@ -601,22 +1750,36 @@ async function stopBot(command) {
   const { bot_id } = command;
   const bot = botClients.get(bot_id);
   
+  // Cancels a pending reconnect, connection timeout or auth wait as well
+  const wasActive = lifecycle.getState(bot_id) !== 'stopped';
+  lifecycle.stop(bot_id);
+  
   if (!bot) {
-    logWarn(`Stop requested for bot ${bot_id} but not found in memory`);
+    if (wasActive) {
+      logger.info(`Stop requested for bot ${bot_id} between connections, cancelled pending start`);
+      proxyManager.release(bot_id);
+      await clearAuthPending(bot_id);
+    } else {
+      logger.warn(`Stop requested for bot ${bot_id} but not found in memory`);
+    }
     // Still update status to stopped in case it's in a bad state
+    botState.markStopped(bot_id);
     await updateBotStatus(bot_id, 'stopped');
     await addBotLog(bot_id, 'info', '⏹️ Bot stopped');
     return { message: 'Bot stopped (was not running)' };
   }
   
-  logInfo(`Stopping: ${bot.username}`);
+  logger.info(`Stopping: ${bot.username}`);
   await addBotLog(bot_id, 'info', '⏹️ Stopping bot...');
   
   // Mark as manually stopped to prevent auto-reconnect (ABSOLUTE USER CONTROL)
   bot.manuallyStopped = true;
   
-  if (bot.client) bot.client.close();
+  closeBotConnection(bot);
   botClients.delete(bot_id);
+  proxyManager.release(bot_id);
+  await clearAuthPending(bot_id);
+  botState.markStopped(bot_id);
   
   await updateBotStatus(bot_id, 'stopped');
   await addBotLog(bot_id, 'info', '✅ Bot stopped successfully');
@@ -627,30 +1790,47 @@ async function stopBot(command) {
 async function deleteBot(command) {
   const { bot_id } = command;
   
-  // Stop bot if running
+  // Cancel pending reconnects and timers, then stop bot if running
+  lifecycle.forget(bot_id);
   const bot = botClients.get(bot_id);
   if (bot) {
-    logInfo(`Stopping bot ${bot.username} before deletion...`);
+    logger.info(`Stopping bot ${bot.username} before deletion...`);
     
     // Mark as manually stopped to prevent reconnect
     bot.manuallyStopped = true;
     
-    if (bot.client) bot.client.close();
+    closeBotConnection(bot);
     botClients.delete(bot_id);
   } else {
-    logInfo(`Bot ${bot_id} not running, proceeding with deletion`);
+    logger.info(`Bot ${bot_id} not running, proceeding with deletion`);
+  }
+  proxyManager.release(bot_id);
+  await clearAuthPending(bot_id);
+  await logPipeline.flush(bot_id);
+  logPipeline.forget(bot_id);
+  logsDirty.delete(bot_id);
+  
+  // Archived first when the bot's retention policy archives
+  if (storage) {
+    try {
+      const count = await purgeBotLogs(bot_id);
+      if (count > 0) logger.info(`Removed ${count} log entries of deleted bot ${bot_id}`);
+    } catch (err) {
+      logger.error(`Failed to remove logs of deleted bot ${bot_id}: ${err.message}`);
+    }
+    storage.forgetBot(bot_id);
   }
+  botState.remove(bot_id);
+  scheduler.removeBot(bot_id);
   
-  // Update status to deleted in Firebase
+  // Update status to deleted
   try {
     await updateBotStatus(bot_id, 'deleted');
-    logInfo(`Bot ${bot_id} marked as deleted in Firebase`);
+    logger.info(`Bot ${bot_id} marked as deleted`);
   } catch (err) {
-    logError(`Failed to mark bot as deleted: ${err.message}`);
+    logger.error(`Failed to mark bot as deleted: ${err.message}`);
   }
-  
-  // Clean up bot logs (optional - keep for history)
-  // await set(ref(db, `bots/${bot_id}/logs`), null);
+  publishEvent('deleted', { bot_id });
   
   return { 
     message: 'Bot deleted successfully',
@@ -675,20 +1855,9 @@ async function execCommand(command) {
     // Ensure command starts with /
     const cmd = payload.command.startsWith('/') ? payload.command : `/${payload.command}`;
     
-    // Send command using the same method as node-server.js
-    bot.client.write('command_request', {
-      command: cmd,
-      origin: {
-        type: 'player',
-        uuid: '',
-        request_id: '',
-        player_entity_id: 0,
-      },
-      internal: false,
-      version: '52',
-    });
+    writeCommand(bot.client, cmd);
     
-    logInfo(`[${bot.username}] Executed: ${cmd}`);
+    logger.child({ bot_id, username: bot.username }).info(`Executed: ${cmd}`);
     addBotLog(bot_id, 'command', `Executed: ${cmd}`);
     
     return { 
@@ -697,36 +1866,528 @@ async function execCommand(command) {
       command: cmd 
     };
   } catch (err) {
-    logError(`[${bot.username}] Exec error: ${err.message}`);
+    logger.child({ bot_id, username: bot.username }).error(`Exec error: ${err.message}`);
     addBotLog(bot_id, 'error', `Command failed: ${err.message}`);
     return { error: err.message };
   }
 }
 
+/**
+ * Buy from the server's /shop forms.
+ * payload: { category, item, quantity = 1, confirm = true, command = '/shop',
+ *            form_timeout, result_timeout } (timeouts in ms)
+ */
+async function shopBuy(command) {
+  const { bot_id, payload } = command;
+  
+  if (!payload || !payload.category || !payload.item) {
+    return { error: 'Missing category or item in payload' };
+  }
+  
+  const bot = botClients.get(bot_id);
+  if (!bot || !bot.client || !bot.connected) {
+    return { error: 'Bot not found or not connected' };
+  }
+  if (bot.form) {
+    return { error: 'A form flow is already running on this bot' };
+  }
+  
+  const quantity = parseInt(payload.quantity ?? 1);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { error: 'quantity must be a positive integer' };
+  }
+  
+  const log = logger.child({ bot_id, username: bot.username });
+  const options = {
+    category: String(payload.category),
+    item: String(payload.item),
+    quantity,
+    confirm: payload.confirm !== false,
+    log,
+  };
+  if (payload.command) options.command = payload.command.startsWith('/') ? payload.command : `/${payload.command}`;
+  if (payload.form_timeout) options.formTimeout = Number(payload.form_timeout);
+  if (payload.result_timeout) options.resultTimeout = Number(payload.result_timeout);
+  
+  log.info(`Shop: buying ${quantity}x ${options.item} from ${options.category}`);
+  await addBotLog(bot_id, 'command', `🛒 Shop: buying ${quantity}x ${options.item} from ${options.category}`);
+  
+  bot.form = new ShopSession(bot.client, options);
+  let outcome;
+  try {
+    outcome = await bot.form.run();
+  } finally {
+    bot.form = null;
+  }
+  
+  if (!outcome.success) {
+    await addBotLog(bot_id, 'error', `❌ Shop: ${outcome.message}`);
+    return { error: outcome.message, state: outcome.state, username: bot.username, steps: outcome.steps };
+  }
+  
+  await addBotLog(bot_id, 'info', `✅ Shop: ${outcome.message}`);
+  return {
+    message: outcome.message,
+    username: bot.username,
+    confirmed: outcome.confirmed,
+    steps: outcome.steps,
+  };
+}
+
+/**
+ * Drive server forms with a declarative script (see forms.js).
+ * payload: { script: {...} } inline, or { name } for forms/<name>.json|yaml
+ */
+async function formRun(command) {
+  const { bot_id, payload } = command;
+  
+  if (!payload || (!payload.script && !payload.name)) {
+    return { error: 'Missing script or name in payload' };
+  }
+  
+  const bot = botClients.get(bot_id);
+  if (!bot || !bot.client || !bot.connected) {
+    return { error: 'Bot not found or not connected' };
+  }
+  if (bot.form) {
+    return { error: 'A form flow is already running on this bot' };
+  }
+  
+  const log = logger.child({ bot_id, username: bot.username });
+  let session;
+  try {
+    const script = payload.script || await loadFormScript(payload.name, CONFIG.formsDir);
+    session = new FormSession(bot.client, script, { log });
+  } catch (err) {
+    log.error(`Form script error: ${err.message}`);
+    return { error: `Invalid form script: ${err.message}` };
+  }
+  
+  const name = session.script.name;
+  log.info(`Form: running ${name}`);
+  await addBotLog(bot_id, 'command', `📋 Form: running ${name}`);
+  
+  bot.form = session;
+  let outcome;
+  try {
+    outcome = await session.run();
+  } finally {
+    bot.form = null;
+  }
+  
+  if (!outcome.success) {
+    await addBotLog(bot_id, 'error', `❌ Form ${name} ${outcome.state}: ${outcome.message}`);
+    return { error: outcome.message, state: outcome.state, username: bot.username, script: name, steps: outcome.steps };
+  }
+  
+  await addBotLog(bot_id, 'info', `✅ Form ${name}: ${outcome.message}`);
+  return { message: outcome.message, username: bot.username, script: name, steps: outcome.steps };
+}
+
+// Scheduled jobs: recurring exec/shop_buy/form_run per bot (see scheduler.js)
+
+const scheduler = new Scheduler(runScheduledJob);
+
+// Runs through the bot's command queue like any other command
+async function runScheduledJob(job) {
+  const bot = botClients.get(job.bot_id);
+  const log = logger.child({ bot_id: job.bot_id, username: bot?.username });
+  
+  // Only while spawned; offline bots just skip the run
+  if (shuttingDown || !bot || !bot.connected) {
+    log.debug(`Job ${job.name} skipped, bot not spawned`);
+    return { skipped: true, message: 'Bot not spawned' };
+  }
+  
+  log.info(`Running scheduled job ${job.name} (${job.id})`);
+  const result = await commandQueue.enqueue(job.bot_id, () => processCommand({
+    action: job.action,
+    bot_id: job.bot_id,
+    payload: job.payload,
+  }));
+  
+  if (result.error) {
+    await addBotLog(job.bot_id, 'error', `⏰ Job ${job.name} failed: ${result.error}`);
+  } else {
+    await addBotLog(job.bot_id, 'info', `⏰ Job ${job.name}: ${result.message || 'ok'}`);
+  }
+  return result;
+}
+
+/**
+ * payload: { name, cron: '0 * * * *' | every: '15m', jitter: '30s',
+ *            action: 'exec' | 'shop_buy' | 'form_run', payload: {...} }
+ * A bare payload.command is short for an exec job.
+ */
+function scheduleAdd(command) {
+  const { bot_id, payload } = command;
+  if (!bot_id) return { error: 'Missing bot_id' };
+  if (!botState.get(bot_id)) return { error: `Unknown bot: ${bot_id}` };
+  if (!payload) return { error: 'Missing job in payload' };
+  
+  const spec = { ...payload };
+  if (spec.command && !spec.payload) {
+    spec.action = spec.action || 'exec';
+    spec.payload = { command: spec.command };
+  }
+  
+  let job;
+  try {
+    job = scheduler.add(bot_id, spec);
+  } catch (err) {
+    return { error: `Invalid job: ${err.message}` };
+  }
+  
+  const when = job.cron ? `cron "${job.cron}"` : `every ${job.every / 1000}s`;
+  logger.child({ bot_id }).info(`Scheduled job ${job.name} (${job.id}), ${when}`);
+  addBotLog(bot_id, 'info', `⏰ Scheduled ${job.name} (${when})`);
+  return { message: 'Job scheduled', job };
+}
+
+function scheduleList(command) {
+  const jobs = scheduler.list(command.bot_id);
+  return { message: `${jobs.length} job(s)`, jobs };
+}
+
+function schedulePause(command, paused) {
+  const { bot_id, payload } = command;
+  const job = scheduler.setPaused(bot_id, payload?.job_id, paused);
+  if (!job) return { error: `Job not found: ${payload?.job_id}` };
+  
+  addBotLog(bot_id, 'info', `⏰ ${paused ? 'Paused' : 'Resumed'} ${job.name}`);
+  return { message: paused ? 'Job paused' : 'Job resumed', job };
+}
+
+function scheduleDelete(command) {
+  const { bot_id, payload } = command;
+  const job = scheduler.get(bot_id, payload?.job_id);
+  if (!job) return { error: `Job not found: ${payload?.job_id}` };
+  
+  scheduler.remove(bot_id, job.id);
+  addBotLog(bot_id, 'info', `⏰ Deleted ${job.name}`);
+  return { message: 'Job deleted', job_id: job.id };
+}
+
+// Chat triggers (see triggers.js)
+
+async function runTriggerAction(bot_id, client, username, action, vars, rule) {
+  const label = `Trigger ${rule.name}`;
+  
+  switch (action.type) {
+    case 'reply':
+      writeChat(client, username, action.text);
+      addBotLog(bot_id, 'command', `💬 ${label}: ${action.text}`);
+      return;
+    
+    case 'command': {
+      const cmd = action.command.startsWith('/') ? action.command : `/${action.command}`;
+      writeCommand(client, cmd);
+      addBotLog(bot_id, 'command', `⚡ ${label}: ${cmd}`);
+      return;
+    }
+    
+    // Queued like a shop_buy command, it reports its own outcome
+    case 'shop': {
+      const { type, ...payload } = action;
+      addBotLog(bot_id, 'info', `⚡ ${label}: shop ${payload.item}`);
+      await commandQueue.enqueue(bot_id, () => processCommand({ action: 'shop_buy', bot_id, payload }));
+      return;
+    }
+    
+    case 'webhook': {
+      const response = await fetch(action.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...action.headers },
+        body: JSON.stringify({
+          node_id: nodeId,
+          bot_id,
+          username,
+          trigger: rule.name,
+          message: vars.message,
+          sender: vars.sender || null,
+          type: vars.type,
+          time: new Date().toISOString(),
+        }),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) throw new Error(`webhook returned HTTP ${response.status}`);
+      addBotLog(bot_id, 'info', `⚡ ${label}: webhook sent`);
+      return;
+    }
+    
+    case 'stop':
+      addBotLog(bot_id, 'warn', `⚡ ${label}: stopping bot`);
+      await commandQueue.enqueue(bot_id, () => processCommand({ action: 'stop', bot_id }));
+      return;
+  }
+}
+
+// Replace a bot's trigger rules, live if it is connected and for future starts
+function setTriggers(command) {
+  const { bot_id, payload } = command;
+  const triggers = payload?.triggers ?? [];
+  
+  const { rules, errors } = compileTriggers(triggers);
+  if (errors.length > 0) return { error: `Invalid triggers: ${errors.join('; ')}` };
+  
+  const saved = botState.get(bot_id);
+  const bot = botClients.get(bot_id);
+  if (!saved && !bot) return { error: 'Bot not found' };
+  
+  if (saved) botState.update(bot_id, { payload: { ...saved.payload, triggers } });
+  if (bot) {
+    bot.payload = { ...bot.payload, triggers };
+    bot.triggers.setRules(triggers);
+  }
+  
+  addBotLog(bot_id, 'info', `⚡ Triggers updated (${rules.length} rule(s))`);
+  return { message: 'Triggers updated', rules: rules.map(rule => rule.name) };
+}
+
+// List cached Microsoft tokens (one bot or all)
+function authStatus(command) {
+  const { bot_id } = command;
+  const tokens = bot_id ? [getTokenInfo(bot_id)] : listTokens();
+  return { message: `${tokens.length} token cache(s)`, tokens };
+}
+
+// Drop a bot's cached tokens so the next connect needs a fresh login
+async function authLogout(command) {
+  const { bot_id } = command;
+  if (!bot_id) {
+    return { error: 'Missing bot_id' };
+  }
+  
+  const existed = revokeTokens(bot_id);
+  await clearAuthPending(bot_id);
+  await updateBotAuth(bot_id, 'logged_out');
+  
+  logger.info(`Auth tokens removed for bot ${bot_id}`);
+  await addBotLog(bot_id, 'info', '🔓 Microsoft account unlinked, next start requires login');
+  
+  return { message: existed ? 'Tokens removed' : 'No cached tokens', bot_id };
+}
+
+// Refresh tokens now, or start a device-code login when none are usable
+async function authRefresh(command) {
+  const { bot_id, payload } = command;
+  const username = payload?.username || botClients.get(bot_id)?.username || getTokenInfo(bot_id).username;
+  
+  if (!bot_id || !username) {
+    return { error: 'Missing bot_id or username' };
+  }
+  const log = logger.child({ bot_id, username });
+  
+  let codeResolve = null;
+  const codeIssued = new Promise((resolve) => {
+    codeResolve = resolve;
+  });
+  
+  const onMsaCode = (data) => {
+    const code = data.user_code;
+    const link = data.verification_uri || 'https://www.microsoft.com/link';
+    const expiresAt = Date.now() + (data.expires_in || 900) * 1000;
+    
+    log.info(`Auth code issued for re-link: ${code}`);
+    addBotLog(bot_id, 'info', `🔐 Xbox Login Required: ${link} - Code: ${code}`);
+    setAuthPending(bot_id, { code, link, expires_at: expiresAt });
+    updateBotAuth(bot_id, 'pending', { expires_at: expiresAt });
+    codeResolve({ code, link });
+  };
+  
+  const refresh = refreshTokens(bot_id, username, onMsaCode).then(async (info) => {
+    log.info('Auth tokens refreshed');
+    await clearAuthPending(bot_id);
+    await updateBotAuth(bot_id, 'refreshed');
+    await addBotLog(bot_id, 'info', '🔑 Microsoft tokens refreshed');
+    return { message: 'Tokens refreshed', username, token: info };
+  }).catch(async (err) => {
+    log.error(`Auth refresh failed: ${err.message}`);
+    await clearAuthPending(bot_id);
+    await updateBotAuth(bot_id, /timed out/i.test(err.message) ? 'expired' : 'failed', { error: err.message });
+    return { error: `Auth refresh failed: ${err.message}` };
+  });
+  
+  // A device-code login can take minutes, return the code as soon as it exists
+  return Promise.race([
+    refresh,
+    codeIssued.then(auth => ({ message: 'Authentication required', username, auth })),
+  ]);
+}
+
+// Warn in bot logs ahead of refresh-token expiry, at most once a day per bot
+const AUTH_EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000;
+const authExpiryWarned = new Map();
+
+function checkAuthExpiry() {
+  const warnBefore = CONFIG.authExpiryWarningDays * 24 * 60 * 60 * 1000;
+  
+  for (const info of getExpiringTokens(warnBefore)) {
+    const botId = info.bot_id;
+    const bot = botClients.get(botId);
+    if (!bot || bot.offline_mode) continue;
+    
+    const lastWarned = authExpiryWarned.get(botId) || 0;
+    if (Date.now() - lastWarned < 24 * 60 * 60 * 1000) continue;
+    authExpiryWarned.set(botId, Date.now());
+    
+    const days = Math.max(0, Math.floor((info.refresh_expires_at - Date.now()) / (24 * 60 * 60 * 1000)));
+    logger.child({ bot_id: botId, username: bot.username }).warn(`Microsoft refresh token expires in ~${days} day(s)`);
+    addBotLog(botId, 'info', `⚠️ Microsoft login expires in ~${days} day(s), run auth_refresh or re-link the account`);
+  }
+}
+
+function startAuthExpiryChecks() {
+  checkAuthExpiry();
+  setInterval(checkAuthExpiry, AUTH_EXPIRY_CHECK_INTERVAL);
+}
+
+// Statuses a dead process may have left behind
+const LIVE_STATUSES = ['running', 'starting', 'reconnecting', 'authenticating', 'queued'];
+
+/**
+ * Reconcile bots.json with reality after a restart: start bots that should be
+ * running and mark the rest stopped. Runs through the per-bot command queue so
+ * commands that arrived while the node was down are applied afterwards.
+ */
+async function restoreBots() {
+  const bots = botState.getAll();
+  if (bots.length === 0) return;
+  
+  const toStart = bots.filter(bot => bot.running);
+  logger.info(`Restoring bots: ${toStart.length} to start, ${bots.length - toStart.length} stopped`);
+  
+  for (const bot of bots.filter(bot => !bot.running)) {
+    try {
+      const status = await storage.getBotStatus(bot.bot_id);
+      if (LIVE_STATUSES.includes(status?.status)) {
+        await updateBotStatus(bot.bot_id, 'stopped', 'Node restarted');
+      }
+    } catch (err) {
+      logger.error(`Failed to reconcile bot ${bot.bot_id}: ${err.message}`);
+    }
+  }
+  
+  toStart.forEach((bot, index) => {
+    commandQueue.enqueue(bot.bot_id, async () => {
+      await new Promise(r => setTimeout(r, index * CONFIG.restoreStagger));
+      logger.child({ bot_id: bot.bot_id, username: bot.payload.username }).info('Restoring after node restart');
+      await addBotLog(bot.bot_id, 'info', '♻️ Restoring bot after node restart');
+      await startBot({ bot_id: bot.bot_id, payload: bot.payload, retryCount: bot.retryCount || 0 });
+    }).catch((err) => {
+      logger.error(`Failed to restore bot ${bot.bot_id}: ${err.message}`);
+    });
+  });
+}
+
+// Graceful shutdown: stop taking commands, disconnect every bot, report offline
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`${signal} received again, shutdown already in progress`);
+    return;
+  }
+  shuttingDown = true;
+  logger.info(`${signal} received, shutting down (grace period ${CONFIG.shutdownGracePeriod / 1000}s)...`);
+  
+  const forceExit = setTimeout(() => {
+    logger.error('Shutdown grace period elapsed, forcing exit');
+    process.exit(1);
+  }, CONFIG.shutdownGracePeriod);
+  
+  if (unsubscribeCommands) unsubscribeCommands();
+  clearTimeout(heartbeatTimer);
+  proxyManager.stopHealthChecks();
+  proxyManager.unwatch();
+  scheduler.stop();
+  
+  // Send a proper disconnect so the server sees the players leave
+  const bots = [...botClients.entries()];
+  for (const [, bot] of bots) {
+    bot.manuallyStopped = true;
+    try {
+      if (bot.client) bot.client.disconnect('Node shutting down');
+    } catch (err) {
+      // Not connected yet, close below is enough
+    }
+  }
+  if (bots.length > 0) await new Promise(r => setTimeout(r, 500)); // Let disconnects flush
+  for (const [, bot] of bots) closeBotConnection(bot);
+  botClients.clear();
+  
+  // Bots that should be running come back on the next start (bots.json is kept)
+  const botIds = new Set([
+    ...bots.map(([botId]) => botId),
+    ...botState.getAll().filter(bot => bot.running).map(bot => bot.bot_id),
+  ]);
+  await logPipeline.flushAll();
+  logPipeline.stop();
+  clearInterval(logRetentionTimer);
+  logger.info(`Marking ${botIds.size} bot(s) as node_offline...`);
+  await Promise.all([...botIds].map(botId => updateBotStatus(botId, 'node_offline', 'Node shut down')));
+  
+  await updateNodeStatus({ stats: getSystemStats(), status: 'offline' });
+  if (controlServer) await controlServer.stop();
+  
+  clearTimeout(forceExit);
+  logger.info('Shutdown complete');
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // Main
 async function main() {
-  logInfo('=== CakraNode - Firebase Realtime Version ===');
+  logger.info('=== CakraNode - Firebase Realtime Version ===');
   
   const registered = await registerNode();
   if (!registered) {
-    logError('Failed to register, retrying in 30s...');
+    logger.error('Failed to register, retrying in 30s...');
     setTimeout(main, 30000);
     return;
   }
   
-  logInfo('Node registered, initializing Firebase...');
-  initFirebase();
+  logger.info('Node registered, initializing storage...');
+  if (!initStorage()) {
+    logger.error('Storage unavailable, retrying in 30s...');
+    setTimeout(main, 30000);
+    return;
+  }
+  watchStorageConnection();
+  logPipeline.start();
   
   // Send initial heartbeat to set node online
   await updateNodeStatus({ stats: getSystemStats() });
   
-  // Start listening for commands from Firebase RTDB
+  // Optional local HTTP/WebSocket control API, up before restore so it sees every status
+  await startControlServer();
+  
+  // Restart bots that were running before the node went down
+  await restoreBots();
+  
+  // Start listening for commands from storage
   listenForCommands();
   
   // Start heartbeat
   startHeartbeat();
   
-  logInfo('Node server running with Firebase Realtime Database!');
+  // Probe proxies in the background
+  proxyManager.on('health', publishProxyHealth);
+  proxyManager.startHealthChecks(CONFIG.proxyCheckInterval);
+  
+  // Hot-reload config.json and proxy.txt
+  watchFiles();
+  
+  // Warn before cached Microsoft logins expire
+  startAuthExpiryChecks();
+  
+  // Trim bot logs past their retention limits
+  startLogRetention();
+  
+  // Recurring per-bot jobs from schedules.json
+  scheduler.start();
+  
+  logger.info(`Node server running (${CONFIG.storage} storage)!`);
 }
 
 main();
@@ -1,45 +1,109 @@
 /**
  * Proxy Manager - Rotates through proxy list for bot connections
+ *
+ * Strategies (payload.proxy_strategy):
+ *   none        - connect directly
+ *   global      - use the proxy from config.json
+ *   round-robin - next proxy from proxy.txt
+ *   random      - random proxy from proxy.txt
+ *   pinned      - payload.proxy (proxy string or proxy.txt index)
+ *
+ * proxy.txt accepts one proxy per line, optionally prefixed with a scheme:
+ *   host:port
+ *   host:port:user:pass
+ *   user:pass@host:port
+ *
+ * Proxies are probed in the background. Dead proxies are skipped and bots
+ * keep their proxy across reconnects until it dies.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
+import { probeProxy } from './proxy-relay.js';
+import logger from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class ProxyManager {
+const PROXY_PATH = path.join(__dirname, '..', 'proxy.txt');
+const WATCH_INTERVAL = 2000;
+const DEAD_AFTER_FAILURES = 2;  // Consecutive failures before a proxy is skipped
+const PROBE_CONCURRENCY = 10;
+const log = logger.child({ component: 'ProxyManager' });
+
+// No usable proxy right now. Health checks may revive one, so callers can retry.
+function unavailable(message) {
+  const err = new Error(message);
+  err.unavailable = true;
+  return err;
+}
+
+class ProxyManager extends EventEmitter {
   constructor() {
+    super();
     this.proxies = [];
     this.currentIndex = 0;
+    this.globalProxy = null;
+    this.health = new Map();       // proxy key -> health record
+    this.assignments = new Map();  // bot_id -> proxy key
+    this.checkTimer = null;
+    this.checking = false;
     this.loadProxies();
   }
 
   loadProxies() {
     try {
-      const proxyPath = path.join(__dirname, '..', 'proxy.txt');
-      const content = fs.readFileSync(proxyPath, 'utf8');
-      
+      const content = fs.readFileSync(PROXY_PATH, 'utf8');
+
       this.proxies = content
         .split('\n')
-        .map(line => line.trim())
-        .filter(line => line && !line.startsWith('#'))
-        .map(proxy => this.parseProxy(proxy))
+        .map((line, index) => ({ text: line.trim(), line: index + 1 }))
+        .filter(({ text }) => text && !text.startsWith('#'))
+        .map(({ text, line }) => {
+          const proxy = this.parseProxy(text);
+          if (!proxy) log.warn(`Invalid proxy on line ${line}: ${text}`);
+          return proxy && { ...proxy, line };
+        })
         .filter(proxy => proxy !== null);
-      
-      console.log(`[ProxyManager] Loaded ${this.proxies.length} proxies`);
+
+      log.info(`Loaded ${this.proxies.length} proxies`);
     } catch (err) {
-      console.warn(`[ProxyManager] Failed to load proxies: ${err.message}`);
+      log.warn(`Failed to load proxies: ${err.message}`);
       this.proxies = [];
     }
   }
 
+  // Reload proxy.txt on change. Bots pick up the new list on their next reconnect.
+  watch() {
+    fs.watchFile(PROXY_PATH, { interval: WATCH_INTERVAL }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+
+      this.loadProxies();
+
+      // Forget health of proxies that were removed from the file
+      const keys = new Set(this.proxies.map(proxy => this.key(proxy)));
+      if (this.globalProxy) keys.add(this.key(this.globalProxy));
+      for (const key of this.health.keys()) {
+        if (!keys.has(key)) this.health.delete(key);
+      }
+      if (this.currentIndex >= this.proxies.length) this.currentIndex = 0;
+
+      this.emit('reload', this.proxies.length);
+      this.checkAll();
+    });
+  }
+
+  unwatch() {
+    fs.unwatchFile(PROXY_PATH);
+  }
+
   parseProxy(proxyString) {
     try {
       let type = 'socks5'; // Default
       let cleaned = proxyString;
-      
+
       // Detect proxy type from prefix
       if (proxyString.startsWith('http://')) {
         type = 'http';
@@ -54,44 +118,232 @@ class ProxyManager {
         type = 'socks4';
         cleaned = proxyString.replace('socks4://', '');
       }
-      
-      // Parse host:port
-      const parts = cleaned.split(':');
-      if (parts.length < 2) return null;
-      
-      const host = parts[0];
-      const port = parseInt(parts[1]);
-      
+
+      let host, port, username = null, password = null;
+
+      const at = cleaned.lastIndexOf('@');
+      if (at !== -1) {
+        // user:pass@host:port
+        const auth = cleaned.slice(0, at);
+        const sep = auth.indexOf(':');
+        username = decodeURIComponent(sep === -1 ? auth : auth.slice(0, sep));
+        password = sep === -1 ? null : decodeURIComponent(auth.slice(sep + 1));
+        [host, port] = cleaned.slice(at + 1).split(':');
+      } else {
+        // host:port or host:port:user:pass
+        const parts = cleaned.split(':');
+        if (parts.length < 2) return null;
+        [host, port] = parts;
+        if (parts.length >= 4) {
+          username = parts[2];
+          password = parts.slice(3).join(':');
+        }
+      }
+
+      port = parseInt(port);
       if (!host || isNaN(port)) return null;
-      
+
       return {
         host,
         port,
         type,
+        username: username || null,
+        password: password || null,
       };
     } catch (err) {
       return null;
     }
   }
 
+  key(proxy) {
+    const auth = proxy.username ? `${proxy.username}@` : '';
+    return `${proxy.type}://${auth}${proxy.host}:${proxy.port}`;
+  }
+
+  // Proxies never probed yet count as alive
+  isAlive(proxy) {
+    const record = this.health.get(this.key(proxy));
+    return !record || record.alive;
+  }
+
+  getAlive() {
+    return this.proxies.filter(proxy => this.isAlive(proxy));
+  }
+
   getNext() {
     if (this.proxies.length === 0) return null;
-    
-    const proxy = this.proxies[this.currentIndex];
-    this.currentIndex = (this.currentIndex + 1) % this.proxies.length;
-    
-    return proxy;
+
+    for (let i = 0; i < this.proxies.length; i++) {
+      const proxy = this.proxies[this.currentIndex];
+      this.currentIndex = (this.currentIndex + 1) % this.proxies.length;
+      if (this.isAlive(proxy)) return proxy;
+    }
+
+    return null;
   }
 
   getRandom() {
-    if (this.proxies.length === 0) return null;
-    
-    const index = Math.floor(Math.random() * this.proxies.length);
-    return this.proxies[index];
+    const alive = this.getAlive();
+    if (alive.length === 0) return null;
+
+    const index = Math.floor(Math.random() * alive.length);
+    return alive[index];
   }
 
-  getCount() {
-    return this.proxies.length;
+  setGlobal(proxy) {
+    this.globalProxy = proxy;
+  }
+
+  // Resolve the proxy a bot should use, or null for a direct connection
+  select(strategy, pinned = null, botId = null) {
+    switch (strategy) {
+      case 'none':
+        this.release(botId);
+        return null;
+      case 'global':
+        if (!this.globalProxy) throw new Error('No global proxy configured in config.json');
+        if (!this.isAlive(this.globalProxy)) throw unavailable(`Global proxy ${this.format(this.globalProxy)} is dead`);
+        return this.assign(botId, this.globalProxy);
+      case 'round-robin':
+      case 'random': {
+        // Sticky: keep the previous proxy while it is still listed and alive
+        const previous = this.getAssigned(botId);
+        if (previous && this.isAlive(previous)) return previous;
+
+        const proxy = strategy === 'random' ? this.getRandom() : this.getNext();
+        if (!proxy) {
+          throw unavailable(this.proxies.length ? 'All proxies in proxy.txt are dead' : 'No proxies loaded from proxy.txt');
+        }
+        return this.assign(botId, proxy);
+      }
+      case 'pinned': {
+        // An index into proxy.txt, as a number or a numeric string
+        const proxy = typeof pinned === 'number' || /^\d+$/.test(String(pinned ?? '').trim())
+          ? this.proxies[Number(pinned)]
+          : this.parseProxy(String(pinned || ''));
+        if (!proxy) throw new Error(`Invalid pinned proxy: ${pinned}`);
+        return this.assign(botId, proxy);
+      }
+      default:
+        throw new Error(`Unknown proxy strategy: ${strategy}`);
+    }
+  }
+
+  assign(botId, proxy) {
+    if (botId) this.assignments.set(botId, this.key(proxy));
+    return proxy;
+  }
+
+  getAssigned(botId) {
+    const key = botId && this.assignments.get(botId);
+    if (!key) return null;
+    return this.proxies.find(proxy => this.key(proxy) === key) || null;
+  }
+
+  release(botId) {
+    if (botId) this.assignments.delete(botId);
+  }
+
+  format(proxy) {
+    return proxy ? `${proxy.type}://${proxy.host}:${proxy.port}` : 'direct';
+  }
+
+  // Health tracking
+  recordResult(proxy, error = null, latency = null) {
+    const key = this.key(proxy);
+    const record = this.health.get(key) || {
+      alive: true,
+      latency: null,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastChecked: null,
+      lastError: null,
+    };
+
+    record.lastChecked = Date.now();
+    if (error) {
+      record.failures++;
+      record.consecutiveFailures++;
+      record.lastError = error;
+      if (record.alive && record.consecutiveFailures >= DEAD_AFTER_FAILURES) {
+        record.alive = false;
+        log.warn(`${this.format(proxy)} marked dead: ${error}`);
+      }
+    } else {
+      if (!record.alive) log.info(`${this.format(proxy)} is alive again`);
+      record.alive = true;
+      record.latency = latency;
+      record.consecutiveFailures = 0;
+      record.lastError = null;
+    }
+
+    this.health.set(key, record);
+  }
+
+  markFailed(proxy, error) {
+    this.recordResult(proxy, error);
+  }
+
+  async checkAll() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const targets = this.globalProxy ? [this.globalProxy, ...this.proxies] : [...this.proxies];
+      for (let i = 0; i < targets.length; i += PROBE_CONCURRENCY) {
+        await Promise.all(targets.slice(i, i + PROBE_CONCURRENCY).map(async (proxy) => {
+          try {
+            const latency = await probeProxy(proxy);
+            this.recordResult(proxy, null, latency);
+          } catch (err) {
+            this.recordResult(proxy, err.message);
+          }
+        }));
+      }
+      this.emit('health', this.getStats());
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  startHealthChecks(interval) {
+    this.stopHealthChecks();
+    this.checkAll();
+    this.checkTimer = setInterval(() => this.checkAll(), interval);
+    log.info(`Health checks every ${interval / 1000}s`);
+  }
+
+  stopHealthChecks() {
+    if (this.checkTimer) clearInterval(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  // Per-proxy table for operators
+  getStats() {
+    const botCounts = new Map();
+    for (const key of this.assignments.values()) {
+      botCounts.set(key, (botCounts.get(key) || 0) + 1);
+    }
+
+    const describe = (proxy, source) => {
+      const key = this.key(proxy);
+      const record = this.health.get(key);
+      return {
+        proxy: this.format(proxy),
+        source,
+        line: proxy.line || null,
+        alive: record ? record.alive : null,
+        latency_ms: record?.latency ?? null,
+        failures: record?.failures || 0,
+        last_checked: record?.lastChecked || null,
+        last_error: record?.lastError || null,
+        bots: botCounts.get(key) || 0,
+      };
+    };
+
+    const rows = this.proxies.map(proxy => describe(proxy, 'proxy.txt'));
+    if (this.globalProxy) rows.unshift(describe(this.globalProxy, 'config'));
+    return rows;
   }
 }
 
@@ -0,0 +1,284 @@
+/**
+ * Proxy Relay - Tunnels a bot's RakNet (UDP) traffic through a SOCKS5 proxy
+ *
+ * bedrock-protocol has no proxy support, so the client connects to a local
+ * UDP socket instead of the server. Every datagram is wrapped in a SOCKS5
+ * UDP header (RFC 1928, UDP ASSOCIATE) and sent to the proxy's relay port.
+ */
+
+import net from 'net';
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
+
+const HANDSHAKE_TIMEOUT = 10000;
+
+// Buffered reader for the SOCKS5 handshake on the TCP control connection
+function createReader(socket) {
+  let buffered = Buffer.alloc(0);
+  let waiting = null;
+
+  const flush = () => {
+    if (waiting && buffered.length >= waiting.size) {
+      const chunk = buffered.subarray(0, waiting.size);
+      buffered = buffered.subarray(waiting.size);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve(chunk);
+    }
+  };
+
+  const onData = (data) => {
+    buffered = Buffer.concat([buffered, data]);
+    flush();
+  };
+
+  const onClose = () => {
+    if (waiting) {
+      waiting.reject(new Error('Proxy closed the connection during handshake'));
+      waiting = null;
+    }
+  };
+
+  socket.on('data', onData);
+  socket.on('close', onClose);
+
+  return {
+    read(size) {
+      return new Promise((resolve, reject) => {
+        waiting = { size, resolve, reject };
+        flush();
+      });
+    },
+    release() {
+      socket.off('data', onData);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+function expandIPv6(host) {
+  const [head, tail = ''] = host.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  const groups = [...headParts, ...Array(host.includes('::') ? missing : 0).fill('0'), ...tailParts];
+
+  const buf = Buffer.alloc(16);
+  groups.forEach((group, i) => buf.writeUInt16BE(parseInt(group, 16) || 0, i * 2));
+  return buf;
+}
+
+// Encode ATYP + DST.ADDR + DST.PORT
+function encodeAddress(host, port) {
+  let address;
+  switch (net.isIP(host)) {
+    case 4:
+      address = Buffer.from([0x01, ...host.split('.').map(Number)]);
+      break;
+    case 6:
+      address = Buffer.concat([Buffer.from([0x04]), expandIPv6(host)]);
+      break;
+    default: {
+      const name = Buffer.from(host);
+      address = Buffer.concat([Buffer.from([0x03, name.length]), name]);
+    }
+  }
+
+  const portBuf = Buffer.alloc(2);
+  portBuf.writeUInt16BE(port);
+  return Buffer.concat([address, portBuf]);
+}
+
+// Length of ATYP + DST.ADDR + DST.PORT starting at offset, or -1 if malformed
+function addressLength(buf, offset) {
+  switch (buf[offset]) {
+    case 0x01: return 1 + 4 + 2;
+    case 0x04: return 1 + 16 + 2;
+    case 0x03: return buf.length > offset + 1 ? 1 + 1 + buf[offset + 1] + 2 : -1;
+    default: return -1;
+  }
+}
+
+class SocksUdpRelay extends EventEmitter {
+  constructor(proxy, target) {
+    super();
+    this.proxy = proxy;
+    this.target = target;
+    this.control = null;
+    this.upstream = null;
+    this.local = null;
+    this.relayHost = null;
+    this.relayPort = null;
+    this.clientAddress = null;
+    this.header = encodeAddress(target.host, target.port);
+    this.closed = false;
+
+    // Address the bedrock client should connect to
+    this.host = '127.0.0.1';
+    this.port = null;
+  }
+
+  async start() {
+    if (this.proxy.type !== 'socks5') {
+      throw new Error(`${this.proxy.type} proxies cannot carry UDP traffic (SOCKS5 required)`);
+    }
+
+    try {
+      await this.connectControl();
+      await this.bindSockets();
+      await this.associate();
+    } catch (err) {
+      this.close();
+      throw err;
+    }
+
+    // The association lives as long as the TCP control connection
+    this.control.on('close', () => this.close());
+    return this;
+  }
+
+  connectControl() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(this.proxy.port, this.proxy.host);
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error('Proxy handshake timed out'));
+      }, HANDSHAKE_TIMEOUT);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        // Errors after connect surface as 'close' (handshake reader / association)
+        socket.on('error', () => socket.destroy());
+        this.control = socket;
+        resolve();
+      });
+      socket.once('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  }
+
+  async bindSockets() {
+    this.upstream = dgram.createSocket('udp4');
+    this.local = dgram.createSocket('udp4');
+
+    await new Promise((resolve) => this.upstream.bind(0, resolve));
+    await new Promise((resolve) => this.local.bind(0, '127.0.0.1', resolve));
+    this.port = this.local.address().port;
+
+    this.local.on('message', (msg, rinfo) => this.onClientMessage(msg, rinfo));
+    this.upstream.on('message', (msg) => this.onProxyMessage(msg));
+    this.local.on('error', () => this.close());
+    this.upstream.on('error', () => this.close());
+  }
+
+  async associate() {
+    const reader = createReader(this.control);
+    const timer = setTimeout(() => this.control.destroy(), HANDSHAKE_TIMEOUT);
+
+    try {
+      const { username, password } = this.proxy;
+      const methods = username ? [0x00, 0x02] : [0x00];
+      this.control.write(Buffer.from([0x05, methods.length, ...methods]));
+
+      const [version, method] = await reader.read(2);
+      if (version !== 0x05) throw new Error('Proxy is not a SOCKS5 server');
+
+      if (method === 0x02) {
+        if (!username) throw new Error('Proxy requires authentication');
+        const user = Buffer.from(username);
+        const pass = Buffer.from(password || '');
+        this.control.write(Buffer.concat([
+          Buffer.from([0x01, user.length]), user,
+          Buffer.from([pass.length]), pass,
+        ]));
+        const [, status] = await reader.read(2);
+        if (status !== 0x00) throw new Error('Proxy authentication failed');
+      } else if (method !== 0x00) {
+        throw new Error('Proxy rejected all authentication methods');
+      }
+
+      // UDP ASSOCIATE, announcing the port we will send from
+      this.control.write(Buffer.concat([
+        Buffer.from([0x05, 0x03, 0x00]),
+        encodeAddress('0.0.0.0', this.upstream.address().port),
+      ]));
+
+      const [, reply, , atyp] = await reader.read(4);
+      if (reply !== 0x00) throw new Error(`Proxy refused UDP ASSOCIATE (code ${reply})`);
+
+      let relayHost;
+      if (atyp === 0x01) {
+        relayHost = [...await reader.read(4)].join('.');
+      } else if (atyp === 0x04) {
+        const raw = await reader.read(16);
+        relayHost = Array.from({ length: 8 }, (_, i) => raw.readUInt16BE(i * 2).toString(16)).join(':');
+      } else if (atyp === 0x03) {
+        const [length] = await reader.read(1);
+        relayHost = (await reader.read(length)).toString();
+      } else {
+        throw new Error('Proxy sent an invalid UDP ASSOCIATE reply');
+      }
+      const relayPort = (await reader.read(2)).readUInt16BE(0);
+
+      // Unspecified bind address means "same host as the proxy"
+      const unspecified = relayHost === '0.0.0.0' || /^[0:]+$/.test(relayHost);
+      this.relayHost = unspecified ? this.proxy.host : relayHost;
+      this.relayPort = relayPort;
+    } finally {
+      clearTimeout(timer);
+      reader.release();
+    }
+  }
+
+  onClientMessage(msg, rinfo) {
+    if (this.closed) return;
+    this.clientAddress = rinfo;
+
+    const packet = Buffer.concat([Buffer.from([0x00, 0x00, 0x00]), this.header, msg]);
+    this.upstream.send(packet, this.relayPort, this.relayHost);
+  }
+
+  onProxyMessage(msg) {
+    if (this.closed || !this.clientAddress || msg.length < 4) return;
+
+    // Fragmented datagrams are not supported; RakNet handles its own fragmentation
+    if (msg[2] !== 0x00) return;
+
+    const length = addressLength(msg, 3);
+    if (length < 0 || msg.length < 3 + length) return;
+
+    this.local.send(msg.subarray(3 + length), this.clientAddress.port, this.clientAddress.address);
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    for (const socket of [this.local, this.upstream]) {
+      try { socket?.close(); } catch (err) { /* already closed */ }
+    }
+    this.control?.destroy();
+    this.emit('close');
+  }
+}
+
+/**
+ * Open a UDP relay to target ({ host, port }) through proxy.
+ * Resolves once the proxy has accepted the association.
+ */
+export async function createProxyRelay(proxy, target) {
+  const relay = new SocksUdpRelay(proxy, target);
+  return relay.start();
+}
+
+/**
+ * Check that proxy accepts a UDP association. Resolves with latency in ms.
+ */
+export async function probeProxy(proxy) {
+  const started = Date.now();
+  const relay = await createProxyRelay(proxy, { host: '0.0.0.0', port: 0 });
+  relay.close();
+  return Date.now() - started;
+}
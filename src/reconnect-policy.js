@@ -0,0 +1,70 @@
+/**
+ * Reconnect Policy - Backoff, retry limits and kick-reason rules for bots
+ *
+ * Configured per bot through payload.reconnect:
+ *   {
+ *     base_delay: 5000,      // ms before the first retry
+ *     multiplier: 2,         // delay growth per attempt
+ *     jitter: 0.2,           // +/- fraction of randomness
+ *     max_delay: 300000,     // delay cap in ms
+ *     max_attempts: 0,       // 0 = retry forever
+ *     stable_after: 60000,   // ms online before the attempt counter resets
+ *     kick_rules: [{ match: 'banned', action: 'stop' },
+ *                  { match: 'restart', action: 'delay', delay: 60000 }]
+ *   }
+ */
+
+const DEFAULT_POLICY = {
+  base_delay: 5000,
+  multiplier: 2,
+  jitter: 0.2,
+  max_delay: 300000,
+  max_attempts: 0,
+  stable_after: 60000,
+};
+
+// Applied after any payload rules
+const DEFAULT_KICK_RULES = [
+  { match: 'banned|blacklisted', action: 'stop' },
+  { match: 'server (is )?(restarting|closed|shutting down)', action: 'delay', delay: 60000 },
+];
+
+function toNumber(value, fallback, min = 0) {
+  const num = Number(value);
+  return Number.isFinite(num) && num >= min ? num : fallback;
+}
+
+export function resolvePolicy(payload = {}) {
+  const options = payload.reconnect || {};
+
+  return {
+    base_delay: toNumber(options.base_delay, DEFAULT_POLICY.base_delay),
+    multiplier: toNumber(options.multiplier, DEFAULT_POLICY.multiplier, 1),
+    jitter: Math.min(toNumber(options.jitter, DEFAULT_POLICY.jitter), 1),
+    max_delay: toNumber(options.max_delay, DEFAULT_POLICY.max_delay),
+    max_attempts: toNumber(options.max_attempts, DEFAULT_POLICY.max_attempts),
+    stable_after: toNumber(options.stable_after, DEFAULT_POLICY.stable_after),
+    kick_rules: [...(Array.isArray(options.kick_rules) ? options.kick_rules : []), ...DEFAULT_KICK_RULES],
+  };
+}
+
+// Delay before retry number attempt + 1 (attempt starts at 0)
+export function getDelay(policy, attempt) {
+  const raw = Math.min(policy.base_delay * Math.pow(policy.multiplier, attempt), policy.max_delay);
+  const spread = raw * policy.jitter;
+  return Math.max(0, Math.round(raw - spread + Math.random() * spread * 2));
+}
+
+// First kick rule whose pattern matches reason, or null
+export function matchKickRule(policy, reason) {
+  if (!reason) return null;
+
+  for (const rule of policy.kick_rules) {
+    try {
+      if (rule.match && new RegExp(rule.match, 'i').test(reason)) return rule;
+    } catch (err) {
+      // Invalid regex from payload, skip the rule
+    }
+  }
+  return null;
+}
@@ -0,0 +1,253 @@
+/**
+ * Scheduler - Recurring per-bot jobs, persisted to schedules.json
+ *
+ *   { [job_id]: { id, bot_id, name, cron | every, jitter, action, payload,
+ *                 paused, next_run_at, last_run_at, last_outcome, last_message, run_count } }
+ *
+ * A job runs a node command (exec, shop_buy, form_run) on its bot, either
+ * on a cron expression or every N ms, delayed by up to `jitter` ms. Runs
+ * missed while the node was down are skipped, not replayed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCron, nextCronTime } from './cron.js';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEDULES_PATH = path.join(__dirname, '..', 'schedules.json');
+const log = logger.child({ component: 'Scheduler' });
+
+export const JOB_ACTIONS = ['exec', 'shop_buy', 'form_run'];
+
+const MIN_INTERVAL = 10000;
+const MAX_TIMER = 2 ** 31 - 1; // setTimeout overflows past ~24.8 days
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// 90000, "90s", "15m", "2h", "1d" -> ms
+export function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  const match = /^(\d+)\s*(ms|s|m|h|d)?$/i.exec(String(value ?? '').trim());
+  if (!match) return NaN;
+  return Number(match[1]) * UNITS[(match[2] || 'ms').toLowerCase()];
+}
+
+class Scheduler {
+  /**
+   * @param {function} run - async (job) => result; { skipped: true } when the bot can't run it now
+   */
+  constructor(run) {
+    this.run = run;
+    this.jobs = {};
+    this.timers = new Map(); // job_id -> timeout
+    this.running = new Set(); // job_ids currently executing
+    this.started = false;
+    this.load();
+  }
+
+  load() {
+    try {
+      this.jobs = JSON.parse(fs.readFileSync(SCHEDULES_PATH, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn(`Failed to load schedules.json: ${err.message}`);
+      }
+      this.jobs = {};
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves half a file behind
+  save() {
+    try {
+      const tmpPath = `${SCHEDULES_PATH}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.jobs, null, 2));
+      fs.renameSync(tmpPath, SCHEDULES_PATH);
+    } catch (err) {
+      log.warn(`Failed to save schedules.json: ${err.message}`);
+    }
+  }
+
+  start() {
+    this.started = true;
+    const jobs = Object.values(this.jobs);
+    for (const job of jobs) this.arm(job, true);
+    this.save();
+    if (jobs.length > 0) log.info(`Scheduled ${jobs.filter(job => !job.paused).length}/${jobs.length} job(s)`);
+  }
+
+  stop() {
+    this.started = false;
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  /**
+   * Validate and store a job. spec: { name, cron | every, jitter, action, payload, paused }
+   * Throws with a readable message when the spec is invalid.
+   */
+  add(botId, spec) {
+    const hasCron = spec.cron !== undefined && spec.cron !== null;
+    const hasEvery = spec.every !== undefined && spec.every !== null;
+    if (hasCron === hasEvery) throw new Error('Job needs either cron or every');
+
+    const job = {
+      id: `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      bot_id: botId,
+      name: spec.name || null,
+      cron: null,
+      every: null,
+      jitter: 0,
+      action: spec.action || 'exec',
+      payload: spec.payload || {},
+      paused: spec.paused === true,
+      created_at: Date.now(),
+      next_run_at: null,
+      last_run_at: null,
+      last_outcome: null,
+      last_message: null,
+      run_count: 0,
+    };
+
+    if (hasCron) {
+      job.cron = parseCron(spec.cron).expression; // Throws on a bad expression
+    } else {
+      job.every = parseDuration(spec.every);
+      if (!Number.isFinite(job.every) || job.every < MIN_INTERVAL) {
+        throw new Error(`every must be at least ${MIN_INTERVAL / 1000}s`);
+      }
+    }
+    if (spec.jitter !== undefined) {
+      job.jitter = parseDuration(spec.jitter);
+      if (!Number.isFinite(job.jitter) || job.jitter < 0) throw new Error('jitter must be a duration');
+    }
+    if (!JOB_ACTIONS.includes(job.action)) {
+      throw new Error(`action must be one of: ${JOB_ACTIONS.join(', ')}`);
+    }
+    if (job.action === 'exec' && !job.payload.command) throw new Error('exec jobs need payload.command');
+    if (!job.name) job.name = job.action === 'exec' ? job.payload.command : job.action;
+
+    this.jobs[job.id] = job;
+    this.arm(job);
+    this.save();
+    return job;
+  }
+
+  get(botId, jobId) {
+    const job = this.jobs[jobId];
+    return job && job.bot_id === botId ? job : null;
+  }
+
+  list(botId) {
+    return Object.values(this.jobs)
+      .filter(job => !botId || job.bot_id === botId)
+      .sort((a, b) => a.created_at - b.created_at);
+  }
+
+  setPaused(botId, jobId, paused) {
+    const job = this.get(botId, jobId);
+    if (!job) return null;
+    job.paused = paused;
+    this.arm(job);
+    this.save();
+    return job;
+  }
+
+  remove(botId, jobId) {
+    const job = this.get(botId, jobId);
+    if (!job) return false;
+    this.disarm(job);
+    delete this.jobs[jobId];
+    this.save();
+    return true;
+  }
+
+  // A deleted bot takes its jobs with it
+  removeBot(botId) {
+    const jobs = this.list(botId);
+    if (jobs.length === 0) return;
+    for (const job of jobs) {
+      this.disarm(job);
+      delete this.jobs[job.id];
+    }
+    this.save();
+  }
+
+  // Next run after `from`, jitter included
+  nextRun(job, from) {
+    const jitter = job.jitter > 0 ? Math.round(Math.random() * job.jitter) : 0;
+    if (job.cron) {
+      const next = nextCronTime(parseCron(job.cron), from);
+      return next === null ? null : next + jitter;
+    }
+    return from + job.every + jitter;
+  }
+
+  disarm(job) {
+    clearTimeout(this.timers.get(job.id));
+    this.timers.delete(job.id);
+  }
+
+  // (Re)compute next_run_at and set the timer; keepDue keeps a persisted time still ahead
+  arm(job, keepDue = false) {
+    this.disarm(job);
+    if (job.paused) {
+      job.next_run_at = null;
+      return;
+    }
+
+    const now = Date.now();
+    if (!(keepDue && job.next_run_at > now)) {
+      job.next_run_at = this.nextRun(job, now);
+    }
+    if (!this.started || job.next_run_at === null) return;
+
+    // Long waits are split, the timer re-arms without running until due
+    const delay = Math.min(job.next_run_at - now, MAX_TIMER);
+    this.timers.set(job.id, setTimeout(() => {
+      if (Date.now() < job.next_run_at) this.arm(job, true);
+      else this.fire(job);
+    }, Math.max(0, delay)));
+  }
+
+  async fire(job) {
+    this.timers.delete(job.id);
+    if (!this.jobs[job.id] || job.paused) return;
+
+    // Schedule the next run first so a slow run can't shift the schedule
+    const startedAt = Date.now();
+    job.next_run_at = this.nextRun(job, startedAt);
+    this.arm(job, true);
+
+    if (this.running.has(job.id)) {
+      log.warn(`Job ${job.id} (${job.name}) still running, skipping this run`);
+      return;
+    }
+
+    this.running.add(job.id);
+    let result;
+    try {
+      result = await this.run(job);
+    } catch (err) {
+      result = { error: err.message };
+    } finally {
+      this.running.delete(job.id);
+    }
+    if (!this.jobs[job.id]) return; // Deleted while running
+
+    if (result?.skipped) {
+      job.last_outcome = 'skipped';
+      job.last_message = result.message || null;
+    } else {
+      job.last_run_at = startedAt;
+      job.last_outcome = result?.error ? 'error' : 'ok';
+      job.last_message = result?.error || result?.message || null;
+      job.run_count++;
+    }
+    this.save();
+  }
+}
+
+export default Scheduler;
@@ -0,0 +1,81 @@
+/**
+ * Shop - /shop purchases on a single bedrock-protocol client
+ *
+ * A purchase is a form script (see forms.js) that walks:
+ *   category menu -> item list -> quantity input (if any) -> confirmation
+ * and then waits for the server's chat message about the outcome. All state
+ * lives on the session, so every bot can run its own purchase.
+ */
+
+import FormSession, { escapeRegex } from './forms.js';
+
+const SUCCESS_PATTERN = 'purchased|bought';
+const FAILURE_PATTERN = 'not enough|insufficient|error';
+const CONFIRM_PATTERN = 'yes|confirm|buy';
+
+/**
+ * Form script for one purchase. Category and item are matched as literal,
+ * case-insensitive substrings of the button text.
+ */
+export function shopScript({ category, item, quantity = 1, confirm = true, command = '/shop', formTimeout = 10000, resultTimeout = 5000 }) {
+  return {
+    name: 'shop',
+    start: command,
+    timeout: formTimeout,
+    steps: [
+      { name: 'category', button: escapeRegex(category) },
+      { name: 'item', button: escapeRegex(item) },
+      // Only some items ask for an amount
+      { name: 'quantity', match: { type: 'custom' }, optional: true, fields: [{ type: ['input', 'slider'], value: quantity }] },
+      confirm
+        ? { name: 'confirm', button: CONFIRM_PATTERN, fallback: 0 }
+        : { name: 'confirm', close: true },
+    ],
+    result: confirm ? { success: SUCCESS_PATTERN, failure: FAILURE_PATTERN, timeout: resultTimeout } : null,
+  };
+}
+
+class ShopSession {
+  /**
+   * @param {object} client - bedrock-protocol client, already spawned
+   * @param {object} options
+   * @param {string} options.category - Category button text
+   * @param {string} options.item - Item button text
+   * @param {number} [options.quantity] - Amount entered in the quantity form
+   * @param {boolean} [options.confirm] - false closes the confirmation screen instead
+   * @param {string} [options.command] - Command that opens the shop
+   * @param {number} [options.formTimeout] - ms to wait for each form
+   * @param {number} [options.resultTimeout] - ms to wait for the chat outcome after confirming
+   * @param {number} [options.stepDelay] - ms before answering a form
+   * @param {object} options.log - Logger (or logger.child) for progress
+   */
+  constructor(client, options) {
+    this.confirm = options.confirm !== false;
+    this.form = new FormSession(client, shopScript(options), { log: options.log, stepDelay: options.stepDelay });
+  }
+
+  get active() {
+    return this.form.active;
+  }
+
+  /**
+   * Resolves to { success, state, message, confirmed, steps }, never rejects.
+   * Without confirm, success means the confirmation screen was reached.
+   */
+  async run() {
+    const result = await this.form.run();
+    return {
+      success: result.success,
+      state: result.state,
+      message: result.success && !this.confirm ? 'Reached confirmation, not confirmed' : result.message,
+      confirmed: result.success && this.confirm,
+      steps: result.steps,
+    };
+  }
+
+  cancel(reason = 'Cancelled') {
+    this.form.cancel(reason);
+  }
+}
+
+export default ShopSession;
@@ -0,0 +1,182 @@
+/**
+ * Firebase Storage - Firebase Realtime Database backend (see storage.js)
+ *
+ * Layout:
+ *   nodes/{nodeId}/commands/{commandId}   incoming commands
+ *   nodes/{nodeId}/results/{resultId}     command results
+ *   nodes/{nodeId}/proxies                proxy health table
+ *   bots/{botId}/status | proxy | auth | auth_pending
+ *   bots/{botId}/logs/{pushId}            log entries, push ids sort by time
+ *   bots/{botId}/logs_dropped             lines lost to rate limiting
+ *   bots/{botId}/logs_cleared_at          set by the dashboard "clear logs" button
+ */
+
+import { initializeApp } from 'firebase/app';
+import {
+  getDatabase, ref, set, push, update, onChildAdded, onValue, remove, get, runTransaction, increment,
+  query, orderByKey, startAt, endBefore, limitToLast,
+} from 'firebase/database';
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+// Smallest push id for a time (ms), push ids sort by creation time
+function pushIdForTime(time) {
+  let id = '';
+  for (let i = 0; i < 8; i++) {
+    id = PUSH_CHARS.charAt(time % 64) + id;
+    time = Math.floor(time / 64);
+  }
+  return id;
+}
+
+function snapshotEntries(snapshot) {
+  const entries = [];
+  snapshot.forEach((child) => {
+    entries.push({ key: child.key, ...child.val() });
+  });
+  return entries;
+}
+
+class FirebaseStorage {
+  constructor(firebaseConfig) {
+    this.firebaseConfig = firebaseConfig;
+    this.db = null;
+    this.logsClearedAt = new Map(); // bot_id -> logs_cleared_at, kept current by a listener
+    this.logsClearedListeners = new Map();
+  }
+
+  init() {
+    const app = initializeApp(this.firebaseConfig);
+    this.db = getDatabase(app);
+  }
+
+  // Connection
+
+  // .info/connected flips to false whenever the SDK loses its socket
+  watchConnection(onChange) {
+    return onValue(ref(this.db, '.info/connected'), (snapshot) => {
+      onChange(snapshot.val() === true);
+    });
+  }
+
+  // Commands
+
+  watchCommands(nodeId, onCommand) {
+    return onChildAdded(ref(this.db, `nodes/${nodeId}/commands`), (snapshot) => {
+      onCommand(snapshot.key, snapshot.val());
+    });
+  }
+
+  async claimCommand(nodeId, commandId, instanceId) {
+    const commandRef = ref(this.db, `nodes/${nodeId}/commands/${commandId}`);
+
+    const result = await runTransaction(commandRef, (current) => {
+      // First pass may run on an empty local cache; writing null back is a no-op
+      if (current === null) return null;
+      if (current.claimed_by && current.claimed_by !== instanceId) return; // abort
+      return { ...current, claimed_by: instanceId, claimed_at: Date.now() };
+    });
+
+    return result.committed && result.snapshot.val()?.claimed_by === instanceId;
+  }
+
+  async deleteCommand(nodeId, commandId) {
+    await remove(ref(this.db, `nodes/${nodeId}/commands/${commandId}`));
+  }
+
+  async setCommandResult(nodeId, resultId, record) {
+    // Firebase rejects undefined values, JSON round-trip drops them
+    await set(ref(this.db, `nodes/${nodeId}/results/${resultId}`), JSON.parse(JSON.stringify(record)));
+  }
+
+  // Bots
+
+  async setBotStatus(botId, record) {
+    await set(ref(this.db, `bots/${botId}/status`), record);
+  }
+
+  async getBotStatus(botId) {
+    const snapshot = await get(ref(this.db, `bots/${botId}/status`));
+    return snapshot.val();
+  }
+
+  async setBotProxy(botId, record) {
+    await set(ref(this.db, `bots/${botId}/proxy`), record);
+  }
+
+  async setBotAuth(botId, record) {
+    await set(ref(this.db, `bots/${botId}/auth`), record);
+  }
+
+  async setAuthPending(botId, record) {
+    const pendingRef = ref(this.db, `bots/${botId}/auth_pending`);
+    await (record ? set(pendingRef, record) : remove(pendingRef));
+  }
+
+  // Logs
+
+  watchLogsCleared(botId) {
+    if (this.logsClearedListeners.has(botId)) return;
+
+    const unsubscribe = onValue(ref(this.db, `bots/${botId}/logs_cleared_at`), (snapshot) => {
+      this.logsClearedAt.set(botId, snapshot.val());
+    });
+    this.logsClearedListeners.set(botId, unsubscribe);
+  }
+
+  // Write one batch as a single multi-path update, returns how many entries were kept
+  async appendLogs(botId, entries, dropped) {
+    this.watchLogsCleared(botId);
+
+    const clearedAt = this.logsClearedAt.get(botId);
+    const logsRef = ref(this.db, `bots/${botId}/logs`);
+    const updates = {};
+    let written = 0;
+
+    for (const entry of entries) {
+      if (clearedAt && new Date(entry.created_at) <= new Date(clearedAt)) continue;
+      updates[`bots/${botId}/logs/${push(logsRef).key}`] = entry;
+      written++;
+    }
+    if (dropped > 0) {
+      updates[`bots/${botId}/logs_dropped`] = increment(dropped);
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await update(ref(this.db), updates);
+    }
+    return written;
+  }
+
+  async readLogs(botId, { from, to, beforeKey, limit } = {}) {
+    const constraints = [orderByKey()];
+    if (from) constraints.push(startAt(pushIdForTime(from)));
+    if (beforeKey) constraints.push(endBefore(beforeKey));
+    else if (to) constraints.push(endBefore(pushIdForTime(to)));
+    if (limit) constraints.push(limitToLast(limit));
+
+    return snapshotEntries(await get(query(ref(this.db, `bots/${botId}/logs`), ...constraints)));
+  }
+
+  async deleteLogs(botId, keys) {
+    const updates = {};
+    for (const key of keys) updates[`bots/${botId}/logs/${key}`] = null;
+    await update(ref(this.db), updates);
+  }
+
+  // Drop listeners for a deleted bot
+  forgetBot(botId) {
+    const unsubscribe = this.logsClearedListeners.get(botId);
+    if (unsubscribe) unsubscribe();
+    this.logsClearedListeners.delete(botId);
+    this.logsClearedAt.delete(botId);
+  }
+
+  // Nodes
+
+  async setProxyHealth(nodeId, table) {
+    await set(ref(this.db, `nodes/${nodeId}/proxies`), table);
+  }
+}
+
+export default FirebaseStorage;
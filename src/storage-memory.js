@@ -0,0 +1,140 @@
+/**
+ * Memory Storage - In-process backend (see storage.js)
+ *
+ * Keeps everything in plain objects so a node can run without Firebase
+ * (--memory). Nothing is shared or persisted: commands arrive through the
+ * local control API, and statuses and logs are gone when the node stops.
+ */
+
+// Fixed-width base36 time so keys sort by creation time like push ids
+function timeKey(time) {
+  return Math.floor(time).toString(36).padStart(10, '0');
+}
+
+class MemoryStorage {
+  constructor() {
+    this.commands = new Map(); // nodeId -> Map(commandId -> command)
+    this.results = new Map(); // `${nodeId}/${resultId}` -> record
+    this.bots = new Map(); // botId -> { status, proxy, auth, auth_pending, logs: Map, logs_dropped }
+    this.proxyHealth = new Map(); // nodeId -> table
+    this.sequence = 0;
+  }
+
+  init() {}
+
+  nextKey() {
+    this.sequence = (this.sequence + 1) % 1e6;
+    return `${timeKey(Date.now())}${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  getBot(botId) {
+    let bot = this.bots.get(botId);
+    if (!bot) {
+      bot = { status: null, proxy: null, auth: null, auth_pending: null, logs: new Map(), logs_dropped: 0 };
+      this.bots.set(botId, bot);
+    }
+    return bot;
+  }
+
+  getCommands(nodeId) {
+    let commands = this.commands.get(nodeId);
+    if (!commands) {
+      commands = new Map();
+      this.commands.set(nodeId, commands);
+    }
+    return commands;
+  }
+
+  // Connection
+
+  // In-process, so always connected
+  watchConnection(onChange) {
+    onChange(true);
+    return () => {};
+  }
+
+  // Commands
+
+  // Nothing writes commands here, the control API hands them to the node directly
+  watchCommands(nodeId, onCommand) {
+    for (const [commandId, command] of this.getCommands(nodeId)) onCommand(commandId, { ...command });
+    return () => {};
+  }
+
+  async claimCommand(nodeId, commandId, instanceId) {
+    const command = this.getCommands(nodeId).get(commandId);
+    if (!command) return false;
+    if (command.claimed_by && command.claimed_by !== instanceId) return false;
+    command.claimed_by = instanceId;
+    command.claimed_at = Date.now();
+    return true;
+  }
+
+  async deleteCommand(nodeId, commandId) {
+    this.getCommands(nodeId).delete(commandId);
+  }
+
+  async setCommandResult(nodeId, resultId, record) {
+    this.results.set(`${nodeId}/${resultId}`, record);
+  }
+
+  // Bots
+
+  async setBotStatus(botId, record) {
+    this.getBot(botId).status = record;
+  }
+
+  async getBotStatus(botId) {
+    return this.bots.get(botId)?.status || null;
+  }
+
+  async setBotProxy(botId, record) {
+    this.getBot(botId).proxy = record;
+  }
+
+  async setBotAuth(botId, record) {
+    this.getBot(botId).auth = record;
+  }
+
+  async setAuthPending(botId, record) {
+    this.getBot(botId).auth_pending = record;
+  }
+
+  // Logs
+
+  async appendLogs(botId, entries, dropped) {
+    const bot = this.getBot(botId);
+    for (const entry of entries) bot.logs.set(this.nextKey(), entry);
+    bot.logs_dropped += dropped;
+    return entries.length;
+  }
+
+  async readLogs(botId, { from, to, beforeKey, limit } = {}) {
+    const bot = this.bots.get(botId);
+    if (!bot) return [];
+
+    let entries = [...bot.logs.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .filter(([key]) => !from || key >= timeKey(from))
+      .filter(([key]) => (beforeKey ? key < beforeKey : !to || key < timeKey(to)))
+      .map(([key, entry]) => ({ key, ...entry }));
+    if (limit) entries = entries.slice(-limit);
+    return entries;
+  }
+
+  async deleteLogs(botId, keys) {
+    const bot = this.bots.get(botId);
+    if (!bot) return;
+    for (const key of keys) bot.logs.delete(key);
+  }
+
+  forgetBot() {}
+
+  // Nodes
+
+  async setProxyHealth(nodeId, table) {
+    this.proxyHealth.set(nodeId, table);
+  }
+}
+
+export default MemoryStorage;
@@ -0,0 +1,40 @@
+/**
+ * Storage - Picks the backend the node keeps its shared state in
+ *
+ * Every backend implements the same async interface:
+ *
+ *   init()
+ *   watchConnection(onChange(connected)) -> unsubscribe
+ *   watchCommands(nodeId, onCommand(commandId, command)) -> unsubscribe
+ *   claimCommand(nodeId, commandId, instanceId) -> boolean
+ *   deleteCommand(nodeId, commandId)
+ *   setCommandResult(nodeId, resultId, record)
+ *   setBotStatus(botId, record) / getBotStatus(botId)
+ *   setBotProxy(botId, record | null)
+ *   setBotAuth(botId, record)
+ *   setAuthPending(botId, record | null)     null removes the pending code
+ *   appendLogs(botId, entries, dropped) -> entries written
+ *   readLogs(botId, { from, to, beforeKey, limit }) -> [{ key, ...entry }] oldest first,
+ *     from inclusive / to exclusive (ms), limit keeps the newest
+ *   deleteLogs(botId, keys)
+ *   forgetBot(botId)                        drop listeners for a deleted bot
+ *   setProxyHealth(nodeId, table)
+ *
+ * "firebase" is the production backend, "memory" runs fully offline.
+ */
+
+import FirebaseStorage from './storage-firebase.js';
+import MemoryStorage from './storage-memory.js';
+
+export const STORAGE_TYPES = ['firebase', 'memory'];
+
+export function createStorage(type, firebaseConfig) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'firebase':
+      return new FirebaseStorage(firebaseConfig);
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
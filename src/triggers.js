@@ -0,0 +1,207 @@
+/**
+ * Triggers - Per-bot rules that react to chat and system messages
+ *
+ * Configured per bot through payload.triggers:
+ *   [{
+ *     name: 'accept-tpa',
+ *     match: '(?<player>\\w+) has requested to teleport to you',
+ *     types: ['raw', 'system'],       // text packet types, default any
+ *     sender: 'Steve|Alex',           // regex on the sender of chat/whispers
+ *     whisper: true,                  // true: whispers only, false: never whispers
+ *     cooldown: 5000,                 // ms before the rule can fire again
+ *     rate: { max: 5, per: 60000 },   // at most max firings per window
+ *     actions: [{ type: 'command', command: '/tpaccept {player}' }],
+ *   }]
+ *
+ * Actions: reply { text }, command { command }, shop { category, item, quantity, confirm },
+ * webhook { url, headers }, stop {}. Text in actions (except the webhook url)
+ * may use {message}, {sender}, {type}, {rule}, {1}, {2}.. and named groups
+ * such as {player}.
+ * The bot's own chat never triggers anything.
+ */
+
+export const TRIGGER_ACTIONS = ['reply', 'command', 'shop', 'webhook', 'stop'];
+
+const TEXT_TYPES = [
+  'raw', 'chat', 'translation', 'popup', 'jukebox_popup', 'tip', 'system',
+  'whisper', 'announcement', 'json_whisper', 'json', 'json_announcement',
+];
+const WHISPER_TYPES = ['whisper', 'json_whisper'];
+
+function toRegex(pattern, where) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw new Error(`${where}: invalid regex "${pattern}"`);
+  }
+}
+
+function compileRule(rule, index) {
+  const where = `trigger ${rule?.name || index + 1}`;
+  if (!rule || typeof rule !== 'object') throw new Error(`${where}: must be an object`);
+  if (!rule.match) throw new Error(`${where}: match is required`);
+
+  const actions = [].concat(rule.actions || rule.action || []);
+  if (actions.length === 0) throw new Error(`${where}: needs at least one action`);
+  for (const action of actions) {
+    if (!TRIGGER_ACTIONS.includes(action?.type)) {
+      throw new Error(`${where}: action type must be one of: ${TRIGGER_ACTIONS.join(', ')}`);
+    }
+    if (action.type === 'reply' && !action.text) throw new Error(`${where}: reply needs text`);
+    if (action.type === 'command' && !action.command) throw new Error(`${where}: command needs command`);
+    if (action.type === 'shop' && (!action.category || !action.item)) throw new Error(`${where}: shop needs category and item`);
+    if (action.type === 'webhook' && !/^https?:\/\//.test(action.url || '')) throw new Error(`${where}: webhook needs an http(s) url`);
+  }
+
+  const types = rule.types || rule.type ? [].concat(rule.types || rule.type) : null;
+  const unknown = (types || []).filter(type => !TEXT_TYPES.includes(type));
+  if (unknown.length > 0) throw new Error(`${where}: unknown type ${unknown.join(', ')}`);
+
+  const cooldown = Number(rule.cooldown ?? 0);
+  if (!Number.isFinite(cooldown) || cooldown < 0) throw new Error(`${where}: cooldown must be ms >= 0`);
+
+  let rate = null;
+  if (rule.rate) {
+    rate = { max: parseInt(rule.rate.max), per: Number(rule.rate.per) };
+    if (!(rate.max > 0) || !(rate.per > 0)) throw new Error(`${where}: rate needs max and per > 0`);
+  }
+
+  return {
+    name: rule.name || `trigger ${index + 1}`,
+    match: toRegex(rule.match, where),
+    sender: rule.sender ? toRegex(rule.sender, where) : null,
+    types,
+    whisper: typeof rule.whisper === 'boolean' ? rule.whisper : null,
+    cooldown,
+    rate,
+    actions,
+  };
+}
+
+/**
+ * Compile rules, keeping the valid ones. Returns { rules, errors }.
+ */
+export function compileTriggers(rules) {
+  const compiled = [];
+  const errors = [];
+  if (rules === undefined || rules === null) return { rules: compiled, errors };
+  if (!Array.isArray(rules)) return { rules: compiled, errors: ['triggers must be an array'] };
+
+  rules.forEach((rule, index) => {
+    try {
+      compiled.push(compileRule(rule, index));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  });
+  return { rules: compiled, errors };
+}
+
+// Fill {name} placeholders, unknown ones are left as they are
+export function fillTemplate(text, vars) {
+  return String(text).replace(/\{(\w+)\}/g, (placeholder, key) => (
+    vars[key] !== undefined ? String(vars[key]) : placeholder
+  ));
+}
+
+// Chat text is player-controlled, so it never reaches the webhook url
+const LITERAL_FIELDS = ['type', 'url'];
+
+function fillAction(action, vars) {
+  const filled = {};
+  for (const [key, value] of Object.entries(action)) {
+    filled[key] = typeof value === 'string' && !LITERAL_FIELDS.includes(key) ? fillTemplate(value, vars) : value;
+  }
+  return filled;
+}
+
+class TriggerEngine {
+  /**
+   * @param {object} options
+   * @param {string} options.username - The bot's own name, its messages are ignored
+   * @param {object} options.log - Logger (or logger.child)
+   * @param {function} options.perform - async (action, vars, rule) runs one action
+   */
+  constructor({ username, log, perform }) {
+    this.username = username;
+    this.log = log;
+    this.perform = perform;
+    this.rules = [];
+    this.state = new Map(); // rule name -> { lastFired, fired: [timestamps] }
+  }
+
+  // Replace the rules from raw payload.triggers, returns why any were skipped
+  setRules(rules) {
+    const { rules: compiled, errors } = compileTriggers(rules);
+    this.rules = compiled;
+    this.state.clear();
+    return errors;
+  }
+
+  // Cooldown and rate limit, records the firing when allowed
+  allow(rule, now) {
+    let state = this.state.get(rule.name);
+    if (!state) {
+      state = { lastFired: -Infinity, fired: [] };
+      this.state.set(rule.name, state);
+    }
+
+    if (rule.cooldown > 0 && now - state.lastFired < rule.cooldown) return false;
+    if (rule.rate) {
+      state.fired = state.fired.filter(time => now - time < rule.rate.per);
+      if (state.fired.length >= rule.rate.max) {
+        this.log.debug(`Trigger ${rule.name} rate limited (${rule.rate.max} per ${rule.rate.per / 1000}s)`);
+        return false;
+      }
+      state.fired.push(now);
+    }
+    state.lastFired = now;
+    return true;
+  }
+
+  /**
+   * Check a text packet against every rule. Returns the names of the rules
+   * that fired; their actions run in the background, in order.
+   */
+  handle(packet, now = Date.now()) {
+    if (this.rules.length === 0 || !packet?.message) return [];
+
+    const sender = packet.source_name || '';
+    if (sender && sender === this.username) return [];
+
+    const type = packet.type || 'raw';
+    const params = Array.isArray(packet.parameters) && packet.parameters.length > 0 ? ` ${packet.parameters.join(' ')}` : '';
+    const message = `${packet.message}${params}`.replace(/§[0-9a-zA-Z]/gi, '');
+    const isWhisper = WHISPER_TYPES.includes(type);
+    const fired = [];
+
+    for (const rule of this.rules) {
+      if (rule.types && !rule.types.includes(type)) continue;
+      if (rule.whisper !== null && rule.whisper !== isWhisper) continue;
+      if (rule.sender && !rule.sender.test(sender)) continue;
+
+      const match = rule.match.exec(message);
+      if (!match || !this.allow(rule, now)) continue;
+
+      const vars = { message, sender, type, rule: rule.name, ...match.groups };
+      match.slice(1).forEach((group, index) => { vars[index + 1] = group ?? ''; });
+
+      this.log.info(`Trigger ${rule.name} fired on: ${message}`);
+      fired.push(rule.name);
+      this.run(rule, vars);
+    }
+    return fired;
+  }
+
+  async run(rule, vars) {
+    for (const action of rule.actions) {
+      try {
+        await this.perform(fillAction(action, vars), vars, rule);
+      } catch (err) {
+        this.log.error(`Trigger ${rule.name} ${action.type} failed: ${err.message}`);
+      }
+    }
+  }
+}
+
+export default TriggerEngine;